@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// API key admin CLI
+//
+//   node apikeys.js list                 List keys (never the keys themselves)
+//   node apikeys.js create <name> <role> Create a key and print it once
+//   node apikeys.js revoke <id>          Revoke a key
+//
+// Roles: read-only, ingest, reviewer, admin. Uses the same STORAGE_BACKEND /
+// DATABASE_URL settings as the server. With SQLite, create and revoke refuse to
+// run while the server is up: it keeps the database in memory and would
+// overwrite the file. Use the /api/keys endpoints with an admin key instead.
+
+const db = require('./database');
+const auth = require('./auth');
+
+// Audit log actor for changes made with this CLI
+const CLI_ACTOR = { id: null, name: 'cli' };
+
+const USAGE = 'Usage: node apikeys.js <list|create <name> <role>|revoke <id>>';
+
+async function list() {
+  const keys = await db.listApiKeys();
+
+  if (keys.length === 0) {
+    console.log('No API keys');
+    return;
+  }
+
+  keys.forEach(key => {
+    const state = key.revoked_at ? `revoked ${key.revoked_at}` : 'active';
+    console.log(`${String(key.id).padStart(3)}  ${key.key_prefix}…  ${key.role.padEnd(10)} ${key.name.padEnd(30)} ${state}`);
+  });
+}
+
+async function create(name, role) {
+  if (!name || !role) {
+    throw new Error(USAGE);
+  }
+  if (!auth.ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${auth.ROLES.join(', ')}`);
+  }
+
+  const apiKey = await auth.createApiKey(name, role, CLI_ACTOR);
+  console.log(`Created ${apiKey.role} key ${apiKey.id} for ${apiKey.name}:\n\n  ${apiKey.key}\n`);
+  console.log('Store it now, it cannot be shown again.');
+}
+
+async function revoke(id) {
+  const keyId = parseInt(id, 10);
+  if (isNaN(keyId)) {
+    throw new Error(USAGE);
+  }
+
+  if (!(await db.revokeApiKey(keyId, CLI_ACTOR))) {
+    throw new Error(`No active API key with id ${keyId}`);
+  }
+  console.log(`Revoked API key ${keyId}`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const commands = { list, create, revoke };
+
+  if (!commands[command]) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const holder = db.getDatabaseHolder();
+  if (holder && command !== 'list') {
+    throw new Error(
+      `The server (pid ${holder}) has the database open and would overwrite this change. ` +
+      'Stop it first, or use POST /api/keys and DELETE /api/keys/:id with an admin key.'
+    );
+  }
+
+  await db.initDatabase();
+  await commands[command](...args);
+}
+
+main().then(() => {
+  process.exit(0);
+}).catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
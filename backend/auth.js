@@ -0,0 +1,167 @@
+// API key authentication and role-based access.
+//
+// Clients send "Authorization: Bearer <key>". Keys are generated here, shown
+// once, and stored only as a SHA-256 hash. ADMIN_API_KEY is an admin key from
+// the environment, for creating the first keys. Set AUTH_REQUIRED=false to allow
+// requests without a key (they get the admin role), e.g. for local development.
+//
+// Downloads the browser should stream straight to disk (plain links, which
+// cannot send a header) use a short-lived download token in the query string
+// instead: see createDownloadToken.
+const crypto = require('crypto');
+const db = require('./database');
+
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED !== 'false';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+// What each role may do. 'ingest' is for pipelines posting runs.
+const ROLE_PERMISSIONS = {
+  'read-only': ['read'],
+  ingest: ['read', 'ingest'],
+  reviewer: ['read', 'review'],
+  admin: ['read', 'ingest', 'review', 'admin']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// How long a download token is valid
+const DOWNLOAD_TOKEN_TTL_MS = 60 * 1000;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Constant-time check of a token against ADMIN_API_KEY
+function isAdminApiKey(key) {
+  if (!ADMIN_API_KEY) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(hashApiKey(key), 'hex'),
+    Buffer.from(hashApiKey(ADMIN_API_KEY), 'hex')
+  );
+}
+
+// The bearer token of a request, or null
+function bearerToken(req) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+function signDownloadToken(keyHash, payload) {
+  return crypto.createHmac('sha256', keyHash).update(payload).digest('base64url');
+}
+
+// Create a download token for the request's key, valid for one path for
+// DOWNLOAD_TOKEN_TTL_MS. It names the key ('admin' for ADMIN_API_KEY) and is
+// signed with the key's hash, so any server instance can check it and revoking
+// the key invalidates it. Returns null for requests without a key.
+function createDownloadToken(req, path) {
+  const key = bearerToken(req);
+  if (!key) return null;
+
+  const expiresAt = Date.now() + DOWNLOAD_TOKEN_TTL_MS;
+  const payload = `${req.auth.id === null ? 'admin' : req.auth.id}.${expiresAt}`;
+  return {
+    token: `${payload}.${signDownloadToken(hashApiKey(key), `${payload}.${path}`)}`,
+    expires_at: new Date(expiresAt).toISOString()
+  };
+}
+
+// Resolve a download token for the request's path to req.auth, or null when it
+// is malformed, expired, for another path or its key was revoked
+async function verifyDownloadToken(req, token) {
+  const [keyId, expiresAt, signature] = token.split('.');
+  if (!signature || !(Number(expiresAt) > Date.now())) return null;
+
+  let keyHash;
+  let resolved;
+  if (keyId === 'admin') {
+    if (!ADMIN_API_KEY) return null;
+    keyHash = hashApiKey(ADMIN_API_KEY);
+    resolved = { id: null, name: 'ADMIN_API_KEY', role: 'admin' };
+  } else {
+    const apiKey = await db.getApiKeyWithHash(parseInt(keyId, 10));
+    if (!apiKey) return null;
+    keyHash = apiKey.key_hash;
+    resolved = { id: apiKey.id, name: apiKey.name, role: apiKey.role };
+  }
+
+  const expected = Buffer.from(signDownloadToken(keyHash, `${keyId}.${expiresAt}.${req.baseUrl}${req.path}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return resolved;
+}
+
+// Create a key for a name and role. The returned `key` is not stored anywhere.
+async function createApiKey(name, role, actor = null) {
+  const key = 'cvk_' + crypto.randomBytes(24).toString('base64url');
+  const apiKey = await db.createApiKey({
+    name,
+    role,
+    keyHash: hashApiKey(key),
+    keyPrefix: key.substring(0, 8)
+  }, actor);
+  return { ...apiKey, key };
+}
+
+// Express middleware: resolve the bearer token (or a GET's download_token) to
+// req.auth = { id, name, role }
+async function authenticate(req, res, next) {
+  try {
+    const key = bearerToken(req);
+
+    if (key && isAdminApiKey(key)) {
+      req.auth = { id: null, name: 'ADMIN_API_KEY', role: 'admin' };
+      return next();
+    }
+
+    if (key) {
+      const apiKey = await db.findApiKeyByHash(hashApiKey(key));
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+      req.auth = { id: apiKey.id, name: apiKey.name, role: apiKey.role };
+      return next();
+    }
+
+    if (req.method === 'GET' && typeof req.query.download_token === 'string') {
+      req.auth = await verifyDownloadToken(req, req.query.download_token);
+      if (!req.auth) {
+        return res.status(401).json({ error: 'Invalid or expired download token' });
+      }
+      return next();
+    }
+
+    if (AUTH_REQUIRED) {
+      return res.status(401).json({ error: 'API key required' });
+    }
+
+    req.auth = { id: null, name: null, role: 'admin' };
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      error: 'Failed to authenticate request',
+      details: error.message
+    });
+  }
+}
+
+// Express middleware factory: require a permission of the authenticated role
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!req.auth || !ROLE_PERMISSIONS[req.auth.role].includes(permission)) {
+      return res.status(403).json({ error: `Requires ${permission} permission` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  AUTH_REQUIRED,
+  ROLES,
+  ROLE_PERMISSIONS,
+  createApiKey,
+  createDownloadToken,
+  authenticate,
+  authorize
+};
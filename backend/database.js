@@ -1,139 +1,354 @@
-const initSqlJs = require('sql.js');
-const fs = require('fs');
-const path = require('path');
+const { calculateRunMetrics, calculateRunSimilarity, isGoldMatch } = require('./metrics');
+const migrator = require('./migrator');
+const { getChangeKeys } = require('./ingest');
+const search = require('./search');
 
-// Use /app/data for persistent storage in Docker, otherwise use local directory
-const dbDir = process.env.NODE_ENV === 'production' ? '/app/data' : __dirname;
-const dbPath = path.join(dbDir, 'corrections.db');
+// Storage backend is chosen by environment variable; sql.js stays the default for development
+const STORAGE_BACKENDS = {
+  sqlite: './storage/sqlite',
+  postgres: './storage/postgres'
+};
 
-let db;
+const backendName = process.env.STORAGE_BACKEND || 'sqlite';
 
-// Initialize database
-async function initDatabase() {
-  const SQL = await initSqlJs();
+if (!STORAGE_BACKENDS[backendName]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${backendName}", expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+}
 
-  // Load existing database or create new one
-  if (fs.existsSync(dbPath)) {
-    const fileBuffer = fs.readFileSync(dbPath);
-    db = new SQL.Database(fileBuffer);
-  } else {
-    db = new SQL.Database();
-  }
-
-  // Create articles table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS articles (
-      url TEXT PRIMARY KEY,
-      title TEXT,
-      original_article TEXT NOT NULL,
-      first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
-      last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
+const store = require(STORAGE_BACKENDS[backendName]);
 
-  // Create corrections table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS corrections (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      article_url TEXT NOT NULL,
-      run_number INTEGER,
-      original_article TEXT NOT NULL,
-      corrected_article TEXT NOT NULL,
-      merged_changes TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (article_url) REFERENCES articles(url)
-    )
-  `);
+// Initialize database and apply pending migrations.
+// Set MIGRATE_ON_START=false to run migrations separately (npm run migrate).
+async function initDatabase({ migrate = process.env.MIGRATE_ON_START !== 'false' } = {}) {
+  await store.init();
+
+  if (migrate) {
+    const applied = await migrator.migrate(store);
+    applied.forEach(migration => {
+      console.log(`Applied migration ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+    });
+  }
+}
+
+// Hold the database for this server process. With SQLite, other processes
+// must not write to the file meanwhile (see getDatabaseHolder).
+function lockDatabase() {
+  store.lock();
+}
+
+// Pid of a running server holding the database, or null
+function getDatabaseHolder() {
+  return store.lockHolder();
+}
+
+// List migrations with applied/pending status
+async function getMigrationStatus() {
+  return migrator.getStatus(store);
+}
+
+// Apply pending migrations up to targetVersion (all when omitted)
+async function runMigrations(targetVersion) {
+  return migrator.migrate(store, targetVersion);
+}
+
+// Current UTC time in the 'YYYY-MM-DD HH:MM:SS' format stored by both backends
+function timestamp(date = new Date()) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// Parse a JSON column, returning fallback for NULL
+function parseJson(value, fallback = null) {
+  return value ? JSON.parse(value) : fallback;
+}
+
+// Append an entry to the audit log. actor is the authenticated API key
+// ({ id, name }); requests without a key are 'anonymous', internal changes 'system'.
+async function insertAudit(executor, actor, entry) {
+  const { action, targetType, targetId, correctionId = null, articleUrl = null, before = null, after = null } = entry;
 
-  // Create index for faster queries
-  db.run(`CREATE INDEX IF NOT EXISTS idx_corrections_url ON corrections(article_url)`);
+  await executor.run(`
+    INSERT INTO audit_log (action, actor, actor_key_id, target_type, target_id, correction_id, article_url,
+                           before_state, after_state, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    action,
+    actor ? (actor.name || 'anonymous') : 'system',
+    actor ? actor.id : null,
+    targetType,
+    String(targetId),
+    correctionId,
+    articleUrl,
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null,
+    timestamp()
+  ]);
+}
 
-  // Save to disk
-  saveDatabase();
+// Save a new correction (see saveCorrections for hooks)
+async function saveCorrection(data, actor = null, hooks = {}) {
+  const [id] = await saveCorrections([data], actor, hooks);
+  return id;
 }
 
-// Save database to disk
-function saveDatabase() {
-  if (!fs.existsSync(dbDir)) {
-    fs.mkdirSync(dbDir, { recursive: true });
+// Save several corrections in one transaction with a single flush to disk.
+// Returns the new ids in the same order. Optional hooks queue follow-up writes
+// (webhook deliveries) without extra flushes: onSaved(tx, id, data) runs inside
+// the transaction for each run, onFlagged(tx, id, regression) for each run the
+// regression check flagged.
+async function saveCorrections(items, actor = null, { onSaved, onFlagged } = {}) {
+  const ids = await store.transaction(async (tx) => {
+    const inserted = [];
+    for (const data of items) {
+      const id = await insertCorrection(tx, data, actor);
+      if (onSaved) await onSaved(tx, id, data);
+      inserted.push(id);
+    }
+    return inserted;
+  });
+  await flagRegressions(ids);
+
+  if (onFlagged) {
+    await store.transaction(async (tx) => {
+      for (const id of ids) {
+        const regression = await getRunRegression(id);
+        if (regression) await onFlagged(tx, id, regression);
+      }
+    });
   }
-  const data = db.export();
-  const buffer = Buffer.from(data);
-  fs.writeFileSync(dbPath, buffer);
+
+  await store.persist();
+  return ids;
 }
 
-// Save a new correction
-function saveCorrection(data) {
+// Insert a correction (and its article and search entries) inside a transaction
+async function insertCorrection(tx, data, actor) {
   const articleUrl = data.article_url;
   const originalArticle = data.original_article;
   const correctedArticle = data.corrected_article;
   const mergedChanges = data.merged_changes;
 
+  // Tags are stored trimmed and de-duplicated so they match the run_tags filter
+  const runMetadata = data.run_metadata && data.run_metadata.tags
+    ? { ...data.run_metadata, tags: getRunTags(data.run_metadata) }
+    : data.run_metadata;
+
   // Extract title from first line of original_article
   const title = originalArticle.split('\n')[0].substring(0, 200);
+  const now = timestamp();
 
   // Create or update article entry
-  const existingArticle = getArticleByUrl(articleUrl);
+  const existingArticle = await tx.query(`SELECT url FROM articles WHERE url = ?`, [articleUrl]);
 
-  if (!existingArticle) {
+  if (!existingArticle.length) {
     // Create new article entry
-    db.run(`
+    await tx.run(`
       INSERT INTO articles (url, title, original_article, first_seen, last_updated)
-      VALUES (?, ?, ?, datetime('now'), datetime('now'))
-    `, [articleUrl, title, originalArticle]);
+      VALUES (?, ?, ?, ?, ?)
+    `, [articleUrl, title, originalArticle, now, now]);
   } else {
-    // Update article with latest original
-    db.run(`
+    // The article row holds the latest original; earlier ones are kept in article_versions
+    await tx.run(`
       UPDATE articles
       SET title = ?,
           original_article = ?,
-          last_updated = datetime('now')
+          last_updated = ?
       WHERE url = ?
-    `, [title, originalArticle, articleUrl]);
+    `, [title, originalArticle, now, articleUrl]);
   }
 
+  const articleVersionId = await findOrCreateArticleVersion(tx, articleUrl, originalArticle, now);
+
+  // Runs can join an experiment by name at ingest; the experiment is created on first use
+  const experimentId = data.experiment ? await findOrCreateExperiment(tx, data.experiment, now) : null;
+
   // Get next run_number for this article
-  const runNumberResult = db.exec(`
+  const runNumberResult = await tx.query(`
     SELECT COALESCE(MAX(run_number), 0) + 1 as next_run
     FROM corrections
     WHERE article_url = ?
   `, [articleUrl]);
 
-  const runNumber = runNumberResult[0]?.values[0][0] || 1;
+  const runNumber = runNumberResult[0]?.[0] || 1;
 
-  // Insert correction
-  db.run(
-    `INSERT INTO corrections (article_url, run_number, original_article, corrected_article, merged_changes)
-     VALUES (?, ?, ?, ?, ?)`,
+  // Insert correction (structured sections are kept alongside the flattened text)
+  const inserted = await tx.query(
+    `INSERT INTO corrections (article_url, run_number, original_article, corrected_article, merged_changes,
+                              created_at, schema, original_structured, corrected_structured, unapplied,
+                              run_metadata, experiment_id, article_version_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     RETURNING id`,
     [
       articleUrl,
       runNumber,
       originalArticle,
       correctedArticle,
-      JSON.stringify(mergedChanges)
+      JSON.stringify(mergedChanges),
+      now,
+      data.schema || 'flat',
+      data.original_structured ? JSON.stringify(data.original_structured) : null,
+      data.corrected_structured ? JSON.stringify(data.corrected_structured) : null,
+      data.unapplied ? JSON.stringify(data.unapplied) : null,
+      runMetadata ? JSON.stringify(runMetadata) : null,
+      experimentId,
+      articleVersionId
     ]
   );
 
-  saveDatabase();
+  const correctionId = inserted[0][0];
+
+  for (const tag of getRunTags(runMetadata)) {
+    await tx.run(`INSERT INTO run_tags (correction_id, tag) VALUES (?, ?)`, [correctionId, tag]);
+  }
+
+  // Keep the search index in step: replace the article entry, add the run and its changes
+  await tx.run(`DELETE FROM search_index WHERE kind = 'article' AND article_url = ?`, [articleUrl]);
+  await insertSearchEntries(tx, [
+    search.buildArticleEntry(articleUrl, originalArticle),
+    ...search.buildRunEntries(correctionId, articleUrl, correctedArticle, mergedChanges)
+  ]);
+
+  // Score the run against the article's gold standard up front, so reads stay read-only
+  const gold = await tx.query(`SELECT gold_text FROM gold_standards WHERE article_url = ?`, [articleUrl]);
+  if (gold.length) {
+    await storeRunMetrics(tx, correctionId, gold[0][0]);
+  }
+  await insertRunChanges(tx, correctionId, mergedChanges, gold.length ? gold[0][0] : null);
+
+  await insertAudit(tx, actor, {
+    action: 'correction.created',
+    targetType: 'correction',
+    targetId: correctionId,
+    correctionId,
+    articleUrl,
+    after: {
+      run_number: runNumber,
+      schema: data.schema || 'flat',
+      change_count: (mergedChanges || []).length,
+      experiment: data.experiment || null
+    }
+  });
+
+  return correctionId;
+}
+
+// Get the id of the article's latest original version, adding a new version
+// when the posted original differs from it
+async function findOrCreateArticleVersion(tx, articleUrl, originalArticle, now) {
+  const latest = await tx.query(`
+    SELECT id, version, original_article FROM article_versions
+    WHERE article_url = ?
+    ORDER BY version DESC LIMIT 1
+  `, [articleUrl]);
+
+  if (latest.length && latest[0][2] === originalArticle) {
+    return latest[0][0];
+  }
+
+  const inserted = await tx.query(`
+    INSERT INTO article_versions (article_url, version, original_article, created_at)
+    VALUES (?, ?, ?, ?)
+    RETURNING id
+  `, [articleUrl, latest.length ? latest[0][1] + 1 : 1, originalArticle, now]);
+  return inserted[0][0];
+}
+
+// Delete an original version no run was made from any more. When it was the
+// latest, the article falls back to the latest remaining original, so runs
+// are not marked outdated against a version without runs.
+async function removeUnusedArticleVersion(tx, articleUrl, articleVersionId) {
+  const used = await tx.query(`SELECT 1 FROM corrections WHERE article_version_id = ? LIMIT 1`, [articleVersionId]);
+  if (used.length) return;
+
+  await tx.run('DELETE FROM article_versions WHERE id = ?', [articleVersionId]);
+
+  const latest = await tx.query(`
+    SELECT original_article FROM article_versions
+    WHERE article_url = ?
+    ORDER BY version DESC LIMIT 1
+  `, [articleUrl]);
+  const current = await tx.query(`SELECT original_article FROM articles WHERE url = ?`, [articleUrl]);
+  if (!latest.length || latest[0][0] === current[0][0]) return;
+
+  const originalArticle = latest[0][0];
+  await tx.run(`
+    UPDATE articles SET title = ?, original_article = ? WHERE url = ?
+  `, [originalArticle.split('\n')[0].substring(0, 200), originalArticle, articleUrl]);
+  await tx.run(`DELETE FROM search_index WHERE kind = 'article' AND article_url = ?`, [articleUrl]);
+  await insertSearchEntries(tx, [search.buildArticleEntry(articleUrl, originalArticle)]);
+}
+
+// Get the id of an experiment by name, creating it if needed
+async function findOrCreateExperiment(tx, name, now) {
+  const existing = await tx.query(`SELECT id FROM experiments WHERE name = ?`, [name]);
+  if (existing.length) {
+    return existing[0][0];
+  }
+
+  const inserted = await tx.query(
+    `INSERT INTO experiments (name, created_at) VALUES (?, ?) RETURNING id`,
+    [name, now]
+  );
+  return inserted[0][0];
+}
+
+// Distinct, trimmed tags from a run_metadata object
+function getRunTags(runMetadata) {
+  const tags = (runMetadata && Array.isArray(runMetadata.tags)) ? runMetadata.tags : [];
+  return [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+// Add entries to the full-text search index
+async function insertSearchEntries(executor, entries) {
+  for (const entry of entries) {
+    await executor.run(`
+      INSERT INTO search_index (correction_id, article_url, kind, change_key, content)
+      VALUES (?, ?, ?, ?, ?)
+    `, [entry.correction_id, entry.article_url, entry.kind, entry.change_key, entry.content]);
+  }
+}
+
+// Store a run's merged changes as rows for the agent leaderboard: one per change,
+// per agent and per category. gold_match is NULL when there is no gold text.
+async function insertRunChanges(executor, correctionId, mergedChanges, goldText) {
+  const changeKeys = getChangeKeys(mergedChanges);
+  for (const [index, change] of (mergedChanges || []).entries()) {
+    const changeKey = changeKeys[index];
+    const goldMatch = goldText !== null ? (isGoldMatch(change, goldText) ? 1 : 0) : null;
+    await executor.run(`
+      INSERT INTO run_changes (correction_id, change_key, severity, gold_match) VALUES (?, ?, ?, ?)
+    `, [correctionId, changeKey, change.severity || null, goldMatch]);
 
-  // Get last inserted ID
-  const result = db.exec('SELECT MAX(id) as id FROM corrections');
-  return result[0].values[0][0];
+    const agentIds = change.agent_ids && change.agent_ids.length > 0
+      ? change.agent_ids
+      : (change.primary_agent_id ? [change.primary_agent_id] : []);
+    for (const agentId of new Set(agentIds)) {
+      await executor.run(`
+        INSERT INTO change_agents (correction_id, change_key, agent_id, is_primary) VALUES (?, ?, ?, ?)
+      `, [correctionId, changeKey, agentId, change.primary_agent_id === agentId ? 1 : 0]);
+    }
+    for (const category of new Set(change.categories || [])) {
+      await executor.run(`
+        INSERT INTO change_categories (correction_id, change_key, category) VALUES (?, ?, ?)
+      `, [correctionId, changeKey, category]);
+    }
+  }
 }
 
-// List all corrections
-function listCorrections() {
-  const result = db.exec(`
+// List all corrections, optionally only runs with a given tag
+async function listCorrections(filters = {}) {
+  const rows = await store.query(`
     SELECT id, article_url, original_article, created_at
     FROM corrections
+    WHERE deleted_at IS NULL
+    ${filters.tag ? 'AND id IN (SELECT correction_id FROM run_tags WHERE tag = ?)' : ''}
     ORDER BY created_at DESC
-  `);
+  `, filters.tag ? [filters.tag] : []);
 
-  if (!result.length || !result[0].values.length) {
+  if (!rows.length) {
     return [];
   }
 
-  return result[0].values.map(row => {
+  return rows.map(row => {
     // Extract title from first line
     const title = row[2].split('\n')[0].substring(0, 200);
 
@@ -147,17 +362,19 @@ function listCorrections() {
 }
 
 // Get a single correction by ID
-function getCorrection(id) {
-  const result = db.exec(`
-    SELECT id, article_url, run_number, original_article, corrected_article, merged_changes, created_at
+async function getCorrection(id) {
+  const rows = await store.query(`
+    SELECT id, article_url, run_number, original_article, corrected_article, merged_changes, created_at,
+           schema, original_structured, corrected_structured, unapplied, run_metadata,
+           deleted_at, deleted_by
     FROM corrections WHERE id = ?
   `, [id]);
 
-  if (!result.length || !result[0].values.length) {
+  if (!rows.length) {
     return null;
   }
 
-  const row = result[0].values[0];
+  const row = rows[0];
 
   return {
     id: row[0],
@@ -165,67 +382,593 @@ function getCorrection(id) {
     run_number: row[2],
     original_article: row[3],
     corrected_article: row[4],
-    merged_changes: row[5] ? JSON.parse(row[5]) : [],
-    created_at: row[6] + 'Z'
+    merged_changes: await attachReviews(row[0], row[5] ? JSON.parse(row[5]) : []),
+    created_at: row[6] + 'Z',
+    schema: row[7] || 'flat',
+    original_structured: parseJson(row[8]),
+    corrected_structured: parseJson(row[9]),
+    unapplied: parseJson(row[10], []),
+    run_metadata: parseJson(row[11]),
+    deleted_at: row[12] ? row[12] + 'Z' : null,
+    deleted_by: row[13]
+  };
+}
+
+// Every column of a run, for the audit snapshot when it is deleted or purged
+async function getRunSnapshot(executor, id) {
+  const rows = await executor.query(`
+    SELECT id, article_url, article_version_id, run_number, original_article, corrected_article,
+           merged_changes, created_at, schema, original_structured, corrected_structured,
+           unapplied, run_metadata, experiment_id, deleted_at, deleted_by
+    FROM corrections WHERE id = ?
+  `, [id]);
+  const row = rows[0];
+  const mergedChanges = parseJson(row[6], []);
+
+  return {
+    id: row[0],
+    article_url: row[1],
+    article_version_id: row[2],
+    run_number: row[3],
+    original_article: row[4],
+    corrected_article: row[5],
+    merged_changes: mergedChanges,
+    change_count: mergedChanges.length,
+    created_at: row[7] + 'Z',
+    schema: row[8] || 'flat',
+    original_structured: parseJson(row[9]),
+    corrected_structured: parseJson(row[10]),
+    unapplied: parseJson(row[11], []),
+    run_metadata: parseJson(row[12]),
+    experiment_id: row[13],
+    deleted_at: row[14] ? row[14] + 'Z' : null,
+    deleted_by: row[15]
   };
 }
 
-// Remove a correction
-function removeCorrection(id) {
-  const result = db.exec(`SELECT COUNT(*) FROM corrections WHERE id = ?`, [id]);
-  const exists = result[0].values[0][0] > 0;
+// Move a correction to the trash. It stays restorable until purged but is left
+// out of article lists, run lists, search, experiments and metrics.
+// Returns the removed run's id, article and run number, or false.
+async function removeCorrection(id, actor = null) {
+  const rows = await store.query(`
+    SELECT article_url, run_number, article_version_id
+    FROM corrections WHERE id = ? AND deleted_at IS NULL
+  `, [id]);
 
-  if (!exists) {
+  if (!rows.length) {
     return false;
   }
 
-  db.run('DELETE FROM corrections WHERE id = ?', [id]);
-  saveDatabase();
-  return true;
+  const [articleUrl, runNumber, articleVersionId] = rows[0];
+
+  await store.transaction(async (tx) => {
+    const before = await getRunSnapshot(tx, id);
+    await tx.run(`
+      UPDATE corrections SET deleted_at = ?, deleted_by = ? WHERE id = ?
+    `, [timestamp(), actor ? (actor.name || 'anonymous') : 'system', id]);
+    await tx.run('DELETE FROM search_index WHERE correction_id = ?', [id]);
+    await tx.run('DELETE FROM run_regressions WHERE correction_id = ?', [id]);
+    await insertAudit(tx, actor, {
+      action: 'correction.deleted',
+      targetType: 'correction',
+      targetId: id,
+      correctionId: id,
+      articleUrl,
+      before
+    });
+  });
+
+  await recheckNextRun(articleUrl, runNumber, articleVersionId);
+  await store.persist();
+  return { id, article_url: articleUrl, run_number: runNumber };
+}
+
+// Restore a correction from the trash. Returns false when it is not in the trash.
+async function restoreCorrection(id, actor = null) {
+  const rows = await store.query(`
+    SELECT article_url, run_number, corrected_article, merged_changes, deleted_at, deleted_by, article_version_id
+    FROM corrections WHERE id = ? AND deleted_at IS NOT NULL
+  `, [id]);
+
+  if (!rows.length) {
+    return false;
+  }
+
+  const [articleUrl, runNumber, correctedArticle, mergedChanges, deletedAt, deletedBy, articleVersionId] = rows[0];
+
+  await store.transaction(async (tx) => {
+    await tx.run('UPDATE corrections SET deleted_at = NULL, deleted_by = NULL WHERE id = ?', [id]);
+    await insertSearchEntries(tx, search.buildRunEntries(id, articleUrl, correctedArticle, parseJson(mergedChanges, [])));
+    await insertAudit(tx, actor, {
+      action: 'correction.restored',
+      targetType: 'correction',
+      targetId: id,
+      correctionId: id,
+      articleUrl,
+      before: { run_number: runNumber, deleted_at: deletedAt + 'Z', deleted_by: deletedBy },
+      after: { run_number: runNumber }
+    });
+  });
+
+  await flagRegressions([id]);
+  await recheckNextRun(articleUrl, runNumber, articleVersionId);
+  await store.persist();
+  return { id, article_url: articleUrl, run_number: runNumber };
+}
+
+// Permanently delete a correction from the trash, and its article when no runs
+// or gold standard are left. The run's original version goes too when no other
+// run was made from it. Returns false when it is not in the trash.
+async function purgeCorrection(id, actor = null) {
+  const rows = await store.query(`
+    SELECT article_url, run_number, article_version_id
+    FROM corrections WHERE id = ? AND deleted_at IS NOT NULL
+  `, [id]);
+
+  if (!rows.length) {
+    return false;
+  }
+
+  const [articleUrl, runNumber, articleVersionId] = rows[0];
+
+  await store.transaction(async (tx) => {
+    const before = await getRunSnapshot(tx, id);
+    await tx.run('DELETE FROM run_metrics WHERE correction_id = ?', [id]);
+    await tx.run('DELETE FROM change_reviews WHERE correction_id = ?', [id]);
+    await tx.run('DELETE FROM change_review_history WHERE correction_id = ?', [id]);
+    await tx.run('DELETE FROM run_tags WHERE correction_id = ?', [id]);
+    await tx.run('DELETE FROM run_changes WHERE correction_id = ?', [id]);
+    await tx.run('DELETE FROM change_agents WHERE correction_id = ?', [id]);
+    await tx.run('DELETE FROM change_categories WHERE correction_id = ?', [id]);
+    await tx.run('DELETE FROM run_regressions WHERE correction_id = ?', [id]);
+    await tx.run('DELETE FROM corrections WHERE id = ?', [id]);
+
+    const remaining = await tx.query(`
+      SELECT
+        (SELECT COUNT(*) FROM corrections WHERE article_url = ?),
+        (SELECT COUNT(*) FROM gold_standards WHERE article_url = ?)
+    `, [articleUrl, articleUrl]);
+    if (remaining[0][0] === 0 && remaining[0][1] === 0) {
+      await tx.run('DELETE FROM search_index WHERE article_url = ?', [articleUrl]);
+      await tx.run('DELETE FROM article_versions WHERE article_url = ?', [articleUrl]);
+      await tx.run('DELETE FROM articles WHERE url = ?', [articleUrl]);
+    } else {
+      await removeUnusedArticleVersion(tx, articleUrl, articleVersionId);
+    }
+
+    await insertAudit(tx, actor, {
+      action: 'correction.purged',
+      targetType: 'correction',
+      targetId: id,
+      correctionId: id,
+      articleUrl,
+      before
+    });
+  });
+
+  await store.persist();
+  return { id, article_url: articleUrl, run_number: runNumber };
+}
+
+// List runs in the trash, most recently deleted first
+async function listTrash(page = 1, pageSize = 20) {
+  const countRows = await store.query(`SELECT COUNT(*) FROM corrections WHERE deleted_at IS NOT NULL`);
+  const totalRuns = countRows[0]?.[0] || 0;
+
+  const rows = await store.query(`
+    SELECT c.id, c.article_url, a.title, c.run_number, c.created_at, c.deleted_at, c.deleted_by, c.merged_changes
+    FROM corrections c
+    LEFT JOIN articles a ON a.url = c.article_url
+    WHERE c.deleted_at IS NOT NULL
+    ORDER BY c.deleted_at DESC, c.id DESC
+    LIMIT ? OFFSET ?
+  `, [pageSize, (page - 1) * pageSize]);
+
+  return {
+    runs: rows.map(row => ({
+      id: row[0],
+      article_url: row[1],
+      title: row[2],
+      run_number: row[3],
+      created_at: row[4] + 'Z',
+      deleted_at: row[5] + 'Z',
+      deleted_by: row[6],
+      change_count: parseJson(row[7], []).length
+    })),
+    pagination: {
+      totalRuns,
+      totalPages: Math.ceil(totalRuns / pageSize),
+      currentPage: page,
+      pageSize
+    }
+  };
+}
+
+// Review statuses an editor can set on a merged change ('pending' clears the decision)
+const REVIEW_STATUSES = ['accepted', 'rejected', 'needs_discussion'];
+
+// Get current review decisions for a correction, keyed by change id
+async function getChangeReviews(correctionId, executor = store) {
+  const rows = await executor.query(`
+    SELECT change_id, status, comment, reviewer, updated_at
+    FROM change_reviews WHERE correction_id = ?
+  `, [correctionId]);
+
+  const reviews = {};
+  rows.forEach(row => {
+    reviews[row[0]] = {
+      status: row[1],
+      comment: row[2],
+      reviewer: row[3],
+      updated_at: row[4] + 'Z'
+    };
+  });
+
+  return reviews;
+}
+
+// Attach review decision and change key to each merged change
+async function attachReviews(correctionId, mergedChanges) {
+  const reviews = await getChangeReviews(correctionId);
+  const changeKeys = getChangeKeys(mergedChanges);
+
+  return mergedChanges.map((change, index) => {
+    const changeKey = changeKeys[index];
+    return {
+      ...change,
+      change_key: changeKey,
+      review: reviews[changeKey] || null
+    };
+  });
+}
+
+// Set (or clear, with status 'pending') the review decision for one merged change.
+// Returns null if the correction (or a correction in the trash) or change does not exist.
+async function saveChangeReview(correctionId, changeId, data, actor = null) {
+  const review = await store.transaction(async (tx) => {
+    const rows = await tx.query(`
+      SELECT merged_changes, article_url FROM corrections
+      WHERE id = ? AND deleted_at IS NULL
+    `, [correctionId]);
+    if (!rows.length) {
+      return undefined;
+    }
+
+    const mergedChanges = rows[0][0] ? JSON.parse(rows[0][0]) : [];
+    if (!getChangeKeys(mergedChanges).includes(changeId)) {
+      return undefined;
+    }
+
+    const comment = data.comment || null;
+    const reviewer = data.reviewer || null;
+    const now = timestamp();
+    const before = (await getChangeReviews(correctionId, tx))[changeId] || null;
+
+    if (data.status === 'pending') {
+      await tx.run('DELETE FROM change_reviews WHERE correction_id = ? AND change_id = ?', [correctionId, changeId]);
+    } else {
+      await tx.run(`
+        INSERT INTO change_reviews (correction_id, change_id, status, comment, reviewer, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (correction_id, change_id) DO UPDATE
+        SET status = excluded.status,
+            comment = excluded.comment,
+            reviewer = excluded.reviewer,
+            updated_at = excluded.updated_at
+      `, [correctionId, changeId, data.status, comment, reviewer, now]);
+    }
+
+    await tx.run(`
+      INSERT INTO change_review_history (correction_id, change_id, status, comment, reviewer, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [correctionId, changeId, data.status, comment, reviewer, now]);
+
+    const after = (await getChangeReviews(correctionId, tx))[changeId] || null;
+    await insertAudit(tx, actor, {
+      action: 'review.updated',
+      targetType: 'change_review',
+      targetId: changeId,
+      correctionId,
+      articleUrl: rows[0][1],
+      before,
+      after
+    });
+    return after;
+  });
+
+  if (review === undefined) {
+    return null;
+  }
+
+  await store.persist();
+
+  return {
+    change_id: changeId,
+    review,
+    summary: await getReviewSummary(correctionId)
+  };
+}
+
+// Summarize review progress for a correction
+async function getReviewSummary(correctionId) {
+  const rows = await store.query(`SELECT merged_changes FROM corrections WHERE id = ?`, [correctionId]);
+  if (!rows.length) {
+    return null;
+  }
+
+  const mergedChanges = rows[0][0] ? JSON.parse(rows[0][0]) : [];
+  const reviews = await getChangeReviews(correctionId);
+
+  const summary = { total: mergedChanges.length, reviewed: 0, pending: 0 };
+  REVIEW_STATUSES.forEach(status => { summary[status] = 0; });
+
+  getChangeKeys(mergedChanges).forEach(changeKey => {
+    const review = reviews[changeKey];
+    if (review) {
+      summary.reviewed++;
+      summary[review.status]++;
+    } else {
+      summary.pending++;
+    }
+  });
+
+  return summary;
+}
+
+// Get review history for a single change, newest first
+async function getChangeReviewHistory(correctionId, changeId) {
+  const rows = await store.query(`
+    SELECT status, comment, reviewer, created_at
+    FROM change_review_history
+    WHERE correction_id = ? AND change_id = ?
+    ORDER BY id DESC
+  `, [correctionId, changeId]);
+
+  if (!rows.length) {
+    return [];
+  }
+
+  return rows.map(row => ({
+    status: row[0],
+    comment: row[1],
+    reviewer: row[2],
+    created_at: row[3] + 'Z'
+  }));
+}
+
+// Add from/to conditions on a timestamp column (YYYY-MM-DD or ISO)
+function addDateRange(conditions, params, column, from, to) {
+  if (from) {
+    conditions.push(`${column} >= ?`);
+    params.push(timestamp(new Date(from)));
+  }
+  if (to) {
+    // Date-only upper bound includes the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      conditions.push(`${column} < ?`);
+      params.push(timestamp(new Date(Date.parse(to) + 24 * 60 * 60 * 1000)));
+    } else {
+      conditions.push(`${column} <= ?`);
+      params.push(timestamp(new Date(to)));
+    }
+  }
+}
+
+// Aggregate merged changes per agent in SQL, combining review decisions and gold
+// matches (a change counts as gold-evaluated when its run has gold metrics).
+// Filters: category, severity, from/to (created_at of the run, YYYY-MM-DD or ISO)
+async function getAgentLeaderboard(filters = {}) {
+  const runConditions = ['c.deleted_at IS NULL'];
+  const runParams = [];
+  addDateRange(runConditions, runParams, 'c.created_at', filters.from, filters.to);
+
+  const conditions = [...runConditions];
+  const params = [...runParams];
+  if (filters.severity) {
+    conditions.push('rc.severity = ?');
+    params.push(filters.severity);
+  }
+  if (filters.category) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM change_categories cc
+      WHERE cc.correction_id = ca.correction_id AND cc.change_key = ca.change_key AND cc.category = ?
+    )`);
+    params.push(filters.category);
+  }
+
+  const rows = await store.query(`
+    SELECT
+      ca.agent_id,
+      COUNT(*) AS suggestions,
+      SUM(ca.is_primary) AS primary_count,
+      COUNT(r.status) AS reviewed,
+      SUM(CASE WHEN r.status = 'accepted' THEN 1 ELSE 0 END) AS accepted,
+      SUM(CASE WHEN r.status = 'rejected' THEN 1 ELSE 0 END) AS rejected,
+      SUM(CASE WHEN r.status = 'needs_discussion' THEN 1 ELSE 0 END) AS needs_discussion,
+      SUM(CASE WHEN m.correction_id IS NOT NULL THEN 1 ELSE 0 END) AS gold_evaluated,
+      SUM(CASE WHEN m.correction_id IS NOT NULL AND rc.gold_match = 1 THEN 1 ELSE 0 END) AS gold_matches
+    FROM change_agents ca
+    JOIN run_changes rc ON rc.correction_id = ca.correction_id AND rc.change_key = ca.change_key
+    JOIN corrections c ON c.id = ca.correction_id
+    LEFT JOIN change_reviews r ON r.correction_id = ca.correction_id AND r.change_id = ca.change_key
+    LEFT JOIN run_metrics m ON m.correction_id = ca.correction_id
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY ca.agent_id
+    ORDER BY suggestions DESC, ca.agent_id
+  `, params);
+
+  // Filter options come from every change in the date range
+  const categoryRows = await store.query(`
+    SELECT DISTINCT cc.category
+    FROM change_categories cc
+    JOIN corrections c ON c.id = cc.correction_id
+    WHERE ${runConditions.join(' AND ')}
+    ORDER BY cc.category
+  `, runParams);
+  const severityRows = await store.query(`
+    SELECT DISTINCT rc.severity
+    FROM run_changes rc
+    JOIN corrections c ON c.id = rc.correction_id
+    WHERE ${runConditions.join(' AND ')} AND rc.severity IS NOT NULL
+    ORDER BY rc.severity
+  `, runParams);
+
+  const ratio = (part, whole) => whole > 0 ? Math.round((part / whole) * 100) / 100 : null;
+
+  return {
+    agents: rows.map(row => {
+      const stats = {
+        agent_id: row[0],
+        suggestions: row[1],
+        primary: row[2] || 0,
+        reviewed: row[3],
+        accepted: row[4] || 0,
+        rejected: row[5] || 0,
+        needs_discussion: row[6] || 0,
+        gold_evaluated: row[7] || 0,
+        gold_matches: row[8] || 0
+      };
+      return {
+        ...stats,
+        acceptance_rate: ratio(stats.accepted, stats.reviewed),
+        rejection_rate: ratio(stats.rejected, stats.reviewed),
+        gold_precision: ratio(stats.gold_matches, stats.gold_evaluated)
+      };
+    }),
+    filters: {
+      categories: categoryRows.map(row => row[0]),
+      severities: severityRows.map(row => row[0])
+    }
+  };
 }
 
-// List all articles
-function listArticles() {
-  const result = db.exec(`
+// Sort orders and metrics accepted by listArticles
+const ARTICLE_SORTS = ['latest', 'oldest', 'most_runs', 'metric'];
+const ARTICLE_METRICS = ['f1', 'precision', 'recall', 'similarity'];
+
+const ARTICLE_ORDER_BY = {
+  latest: 'a.last_updated DESC',
+  oldest: 'a.first_seen ASC',
+  most_runs: 'run_count DESC, a.last_updated DESC',
+  // Articles without metrics (no gold standard) go last
+  metric: metric => `CASE WHEN m.${metric} IS NULL THEN 1 ELSE 0 END, m.${metric} DESC, a.last_updated DESC`
+};
+
+// List articles with run count, filtered, sorted and paginated in SQL.
+// Options: page, pageSize, sort, metric, domain, from/to (last update),
+// minRuns, hasGold (true/false)
+async function listArticles(options = {}) {
+  const {
+    page = 1,
+    pageSize = 20,
+    sort = 'latest',
+    metric = 'f1',
+    domain,
+    from,
+    to,
+    minRuns,
+    hasGold
+  } = options;
+
+  // Articles whose runs are all in the trash are hidden
+  const conditions = [`(
+    EXISTS (SELECT 1 FROM corrections live WHERE live.article_url = a.url AND live.deleted_at IS NULL)
+    OR NOT EXISTS (SELECT 1 FROM corrections any_run WHERE any_run.article_url = a.url)
+  )`];
+  const params = [];
+
+  if (domain) {
+    // Matches the host and its subdomains (svd.se matches www.svd.se)
+    conditions.push('(a.url LIKE ? OR a.url LIKE ?)');
+    params.push(`%://${domain}/%`, `%://%.${domain}/%`);
+  }
+  addDateRange(conditions, params, 'a.last_updated', from, to);
+  if (hasGold !== undefined) {
+    conditions.push(hasGold ? 'g.article_url IS NOT NULL' : 'g.article_url IS NULL');
+  }
+
+  const having = minRuns ? 'HAVING COUNT(c.id) >= ?' : '';
+  const havingParams = minRuns ? [minRuns] : [];
+
+  const filtered = `
     SELECT
       a.url,
       a.title,
       a.first_seen,
       a.last_updated,
       COUNT(c.id) as run_count,
-      MAX(c.created_at) as latest_run_at
+      MAX(c.created_at) as latest_run_at,
+      (SELECT id FROM corrections
+        WHERE article_url = a.url AND deleted_at IS NULL
+        ORDER BY created_at DESC, id DESC LIMIT 1) as latest_run_id,
+      g.gold_text
     FROM articles a
-    LEFT JOIN corrections c ON a.url = c.article_url
-    GROUP BY a.url
-    ORDER BY a.last_updated DESC
-  `);
+    LEFT JOIN corrections c ON a.url = c.article_url AND c.deleted_at IS NULL
+    LEFT JOIN gold_standards g ON a.url = g.article_url
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY a.url, a.title, a.first_seen, a.last_updated, g.gold_text
+    ${having}
+  `;
 
-  if (!result.length || !result[0].values.length) {
-    return [];
+  const countRows = await store.query(`SELECT COUNT(*) FROM (${filtered}) filtered`, [...params, ...havingParams]);
+  const totalArticles = countRows[0]?.[0] || 0;
+  const totalPages = Math.ceil(totalArticles / pageSize);
+  const offset = (page - 1) * pageSize;
+
+  const orderBy = sort === 'metric' ? ARTICLE_ORDER_BY.metric(metric) : ARTICLE_ORDER_BY[sort];
+
+  const rows = await store.query(`
+    SELECT a.*
+    FROM (${filtered}) a
+    LEFT JOIN run_metrics m ON m.correction_id = a.latest_run_id AND a.gold_text IS NOT NULL
+    ORDER BY ${orderBy}, a.url
+    LIMIT ? OFFSET ?
+  `, [...params, ...havingParams, pageSize, offset]);
+
+  const articles = [];
+  for (const row of rows) {
+    const latestRunId = row[6];
+    const goldText = row[7];
+
+    articles.push({
+      url: row[0],
+      title: row[1],
+      first_seen: row[2] + 'Z',
+      last_updated: row[3] + 'Z',
+      run_count: row[4] || 0,
+      latest_run_at: row[5] ? row[5] + 'Z' : null,
+      latest_run_id: latestRunId || null,
+      has_gold: goldText !== null,
+      latest_run_metrics: latestRunId && goldText !== null
+        ? await getRunMetrics(latestRunId)
+        : null,
+      latest_run_regression: latestRunId ? await getRunRegression(latestRunId) : null
+    });
   }
 
-  return result[0].values.map(row => ({
-    url: row[0],
-    title: row[1],
-    first_seen: row[2] + 'Z',
-    last_updated: row[3] + 'Z',
-    run_count: row[4] || 0,
-    latest_run_at: row[5] ? row[5] + 'Z' : null
-  }));
+  return {
+    articles,
+    pagination: {
+      totalArticles,
+      totalPages,
+      currentPage: page,
+      pageSize
+    }
+  };
 }
 
 // Get article by URL
-function getArticleByUrl(url) {
-  const result = db.exec(`
+async function getArticleByUrl(url) {
+  const rows = await store.query(`
     SELECT url, title, original_article, first_seen, last_updated
     FROM articles WHERE url = ?
   `, [url]);
 
-  if (!result.length || !result[0].values.length) {
+  if (!rows.length) {
     return null;
   }
 
-  const row = result[0].values[0];
+  const row = rows[0];
 
   return {
     url: row[0],
@@ -236,38 +979,70 @@ function getArticleByUrl(url) {
   };
 }
 
-// Get article with all runs
-function getArticleWithRuns(url, page = 1, pageSize = 10) {
-  const article = getArticleByUrl(url);
+// Get article with all runs, optionally only runs with a given tag
+async function getArticleWithRuns(url, page = 1, pageSize = 10, filters = {}) {
+  const article = await getArticleByUrl(url);
   if (!article) return null;
 
+  const tagCondition = 'AND c.deleted_at IS NULL' +
+    (filters.tag ? ' AND c.id IN (SELECT correction_id FROM run_tags WHERE tag = ?)' : '');
+  const tagParams = filters.tag ? [filters.tag] : [];
+
   // Get total run count for pagination
-  const countResult = db.exec(`SELECT COUNT(*) FROM corrections WHERE article_url = ?`, [url]);
-  const totalRuns = countResult[0]?.values[0][0] || 0;
+  const countRows = await store.query(
+    `SELECT COUNT(*) FROM corrections c WHERE c.article_url = ? ${tagCondition}`,
+    [url, ...tagParams]
+  );
+  const totalRuns = countRows[0]?.[0] || 0;
   const totalPages = Math.ceil(totalRuns / pageSize);
   const offset = (page - 1) * pageSize;
 
   // Get correction runs for this article
-  const runsResult = db.exec(`
-    SELECT id, run_number, created_at
-    FROM corrections
-    WHERE article_url = ?
-    ORDER BY created_at DESC
+  const runRows = await store.query(`
+    SELECT c.id, c.run_number, c.created_at, c.run_metadata, e.id, e.name, v.version
+    FROM corrections c
+    LEFT JOIN experiments e ON e.id = c.experiment_id
+    LEFT JOIN article_versions v ON v.id = c.article_version_id
+    WHERE c.article_url = ? ${tagCondition}
+    ORDER BY c.created_at DESC
     LIMIT ? OFFSET ?
-  `, [url, pageSize, offset]);
+  `, [url, ...tagParams, pageSize, offset]);
 
-  const runs = [];
-  if (runsResult.length > 0 && runsResult[0].values.length > 0) {
-    runsResult[0].values.forEach((row) => {
-      runs.push({
-        id: row[0],
-        run_number: row[1],
-        created_at: row[2] + 'Z'
-      });
-    });
+  const versions = await listArticleVersions(url);
+  const latestVersion = versions.length ? versions[versions.length - 1].version : null;
+
+  // Runs made from an earlier original than the latest are marked as outdated
+  const runs = runRows.map((row) => ({
+    id: row[0],
+    run_number: row[1],
+    created_at: row[2] + 'Z',
+    run_metadata: parseJson(row[3]),
+    experiment: row[4] ? { id: row[4], name: row[5] } : null,
+    original_version: row[6],
+    original_outdated: row[6] !== null && row[6] !== latestVersion
+  }));
+
+  // All tags used by the article's runs, for the tag filter
+  const tagRows = await store.query(`
+    SELECT DISTINCT t.tag
+    FROM run_tags t
+    JOIN corrections c ON c.id = t.correction_id
+    WHERE c.article_url = ? AND c.deleted_at IS NULL
+    ORDER BY t.tag
+  `, [url]);
+
+  const gold = await getGoldStandard(url);
+  for (const run of runs) {
+    run.metrics = gold ? await getRunMetrics(run.id) : null;
+    run.regression = await getRunRegression(run.id);
   }
 
   article.runs = runs;
+  article.tags = tagRows.map(row => row[0]);
+  article.versions = versions;
+  article.latest_version = latestVersion;
+  article.gold_standard = gold;
+  article.best_run_id = gold ? await findBestRunId(url) : null;
   article.pagination = {
     totalRuns,
     totalPages,
@@ -278,38 +1053,1403 @@ function getArticleWithRuns(url, page = 1, pageSize = 10) {
   return article;
 }
 
+// Versions of an article's original, oldest first, with their number of (live) runs
+async function listArticleVersions(url) {
+  const rows = await store.query(`
+    SELECT v.id, v.version, v.created_at, COUNT(c.id)
+    FROM article_versions v
+    LEFT JOIN corrections c ON c.article_version_id = v.id AND c.deleted_at IS NULL
+    WHERE v.article_url = ?
+    GROUP BY v.id, v.version, v.created_at
+    ORDER BY v.version
+  `, [url]);
+
+  return rows.map(row => ({
+    id: row[0],
+    version: row[1],
+    created_at: row[2] + 'Z',
+    run_count: row[3]
+  }));
+}
+
+// Get one version of an article's original, including its text
+async function getArticleVersion(url, version) {
+  const rows = await store.query(`
+    SELECT id, article_url, version, original_article, created_at
+    FROM article_versions
+    WHERE article_url = ? AND version = ?
+  `, [url, version]);
+
+  if (!rows.length) {
+    return null;
+  }
+
+  const row = rows[0];
+  return {
+    id: row[0],
+    article_url: row[1],
+    version: row[2],
+    original_article: row[3],
+    created_at: row[4] + 'Z'
+  };
+}
+
 // Get a single run by ID
-function getRunById(runId) {
-  const runResult = db.exec(`
-    SELECT id, run_number, article_url, original_article, corrected_article, merged_changes, created_at
+async function getRunById(runId) {
+  const rows = await store.query(`
+    SELECT id, run_number, article_url, original_article, corrected_article, merged_changes, created_at,
+           schema, original_structured, corrected_structured, unapplied, run_metadata,
+           deleted_at, deleted_by,
+           (SELECT version FROM article_versions WHERE id = article_version_id)
     FROM corrections
     WHERE id = ?
   `, [runId]);
 
-  if (runResult.length === 0 || runResult[0].values.length === 0) {
+  if (!rows.length) {
     return null;
   }
 
-  const row = runResult[0].values[0];
-  return {
+  const row = rows[0];
+  const run = {
     id: row[0],
     run_number: row[1],
     article_url: row[2],
     original_article: row[3],
     corrected_article: row[4],
-    merged_changes: row[5] ? JSON.parse(row[5]) : [],
-    created_at: row[6] + 'Z'
+    merged_changes: await attachReviews(row[0], row[5] ? JSON.parse(row[5]) : []),
+    created_at: row[6] + 'Z',
+    schema: row[7] || 'flat',
+    original_structured: parseJson(row[8]),
+    corrected_structured: parseJson(row[9]),
+    unapplied: parseJson(row[10], []),
+    run_metadata: parseJson(row[11]),
+    deleted_at: row[12] ? row[12] + 'Z' : null,
+    deleted_by: row[13],
+    original_version: row[14]
   };
+
+  // Score the run against the article's gold standard, if one exists
+  const gold = await getGoldStandard(run.article_url);
+  run.metrics = gold ? await getRunMetrics(run.id) : null;
+  run.regression = await getRunRegression(run.id);
+
+  return run;
+}
+
+// Runs read per query by forEachChangeBatch
+const CHANGE_EXPORT_BATCH_SIZE = 200;
+
+// Call onBatch with flattened merged_changes (one object per change) for live runs,
+// reading runs in batches so a full export is never held in memory.
+// Filters: from/to (created_at of the run), agent, category, severity,
+// review (a review status or 'pending')
+async function forEachChangeBatch(filters, onBatch) {
+  let lastId = 0;
+
+  for (;;) {
+    const conditions = ['c.deleted_at IS NULL', 'c.id > ?'];
+    const params = [lastId];
+    addDateRange(conditions, params, 'c.created_at', filters.from, filters.to);
+
+    const rows = await store.query(`
+      SELECT c.id, c.article_url, c.run_number, c.created_at, c.merged_changes
+      FROM corrections c
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY c.id
+      LIMIT ?
+    `, [...params, CHANGE_EXPORT_BATCH_SIZE]);
+
+    if (!rows.length) {
+      return;
+    }
+
+    const batch = [];
+    for (const [correctionId, articleUrl, runNumber, createdAt, mergedChangesJson] of rows) {
+      const changes = await attachReviews(correctionId, parseJson(mergedChangesJson, []));
+
+      changes.forEach(change => {
+        const agentIds = change.agent_ids && change.agent_ids.length > 0
+          ? change.agent_ids
+          : (change.primary_agent_id ? [change.primary_agent_id] : []);
+
+        if (filters.agent && !agentIds.includes(filters.agent)) return;
+        if (filters.category && !(change.categories || []).includes(filters.category)) return;
+        if (filters.severity && change.severity !== filters.severity) return;
+        if (filters.review && (change.review ? change.review.status : 'pending') !== filters.review) return;
+
+        batch.push({
+          article_url: articleUrl,
+          correction_id: correctionId,
+          run_number: runNumber,
+          run_created_at: createdAt + 'Z',
+          change_key: change.change_key,
+          section_id: change.section_id ?? null,
+          char_start: change.char_start ?? null,
+          char_end: change.char_end ?? null,
+          original_text: change.original_text,
+          suggested_text: change.suggested_text,
+          agent_ids: agentIds,
+          primary_agent_id: change.primary_agent_id ?? null,
+          categories: change.categories || [],
+          severity: change.severity ?? null,
+          status: change.status ?? null,
+          confidence: change.confidence ?? null,
+          explanations: change.explanations || [],
+          review_status: change.review ? change.review.status : 'pending',
+          review_comment: change.review ? change.review.comment : null,
+          reviewer: change.review ? change.review.reviewer : null
+        });
+      });
+    }
+
+    await onBatch(batch);
+    lastId = rows[rows.length - 1][0];
+  }
+}
+
+// Cached metrics of a run against its article's gold standard, or null.
+// They are computed when the run or the gold standard is saved, so reads never write.
+async function getRunMetrics(correctionId) {
+  const rows = await store.query(`SELECT metrics FROM run_metrics WHERE correction_id = ?`, [correctionId]);
+  return rows.length ? JSON.parse(rows[0][0]) : null;
+}
+
+// Compute a run's metrics against the gold text and store them
+async function storeRunMetrics(executor, correctionId, goldText) {
+  const rows = await executor.query(`
+    SELECT article_url, original_article, corrected_article
+    FROM corrections WHERE id = ?
+  `, [correctionId]);
+
+  if (!rows.length) {
+    return;
+  }
+
+  const [articleUrl, originalArticle, correctedArticle] = rows[0];
+  const metrics = calculateRunMetrics({ corrected_article: correctedArticle }, goldText, originalArticle);
+
+  // Headline metrics are also stored as columns for sorting in listArticles
+  await executor.run(`
+    INSERT INTO run_metrics (correction_id, article_url, metrics, computed_at, f1, precision, recall, similarity)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (correction_id) DO UPDATE
+    SET metrics = excluded.metrics,
+        computed_at = excluded.computed_at,
+        f1 = excluded.f1,
+        precision = excluded.precision,
+        recall = excluded.recall,
+        similarity = excluded.similarity
+  `, [
+    correctionId,
+    articleUrl,
+    JSON.stringify(metrics),
+    timestamp(),
+    metrics.f1,
+    metrics.precision,
+    metrics.recall,
+    metrics.similarity
+  ]);
+}
+
+// Find the run with the highest F1 (similarity breaks ties) across all runs of an article
+async function findBestRunId(url) {
+  const rows = await store.query(`SELECT id FROM corrections WHERE article_url = ? AND deleted_at IS NULL`, [url]);
+  if (!rows.length) {
+    return null;
+  }
+
+  let best = null;
+  for (const [id] of rows) {
+    const metrics = await getRunMetrics(id);
+    if (!metrics) continue;
+    if (
+      !best ||
+      metrics.f1 > best.metrics.f1 ||
+      (metrics.f1 === best.metrics.f1 && metrics.similarity > best.metrics.similarity)
+    ) {
+      best = { id, metrics };
+    }
+  }
+
+  return best ? best.id : null;
+}
+
+// Reset an article's runs after its gold standard changed: their metrics are
+// dropped (queueRunMetrics recomputes them) and the changes' gold matches are
+// updated (without a gold standard the runs have neither)
+async function resetRunMetrics(executor, url) {
+  await executor.run('DELETE FROM run_metrics WHERE article_url = ?', [url]);
+
+  const gold = await executor.query(`SELECT gold_text FROM gold_standards WHERE article_url = ?`, [url]);
+  const goldText = gold.length ? gold[0][0] : null;
+
+  const runs = await executor.query(`SELECT id, merged_changes FROM corrections WHERE article_url = ?`, [url]);
+  for (const [id, mergedChangesJson] of runs) {
+    const changes = mergedChangesJson ? JSON.parse(mergedChangesJson) : [];
+    const changeKeys = getChangeKeys(changes);
+    for (const [index, change] of changes.entries()) {
+      await executor.run(`
+        UPDATE run_changes SET gold_match = ? WHERE correction_id = ? AND change_key = ?
+      `, [goldText !== null ? (isGoldMatch(change, goldText) ? 1 : 0) : null, id, changeKeys[index]]);
+    }
+  }
+}
+
+// Articles whose run metrics are recomputed in the background. Scoring every run
+// of an article against a new gold standard is too slow for the request that
+// saved it, so the articles are worked through one at a time, yielding between
+// runs so requests are served meanwhile.
+const metricsQueue = new Set();
+let metricsWorker = null;
+
+function queueRunMetrics(url) {
+  metricsQueue.add(url);
+  if (!metricsWorker) {
+    metricsWorker = processMetricsQueue();
+  }
+}
+
+async function processMetricsQueue() {
+  while (metricsQueue.size) {
+    const [url] = metricsQueue;
+    metricsQueue.delete(url);
+    try {
+      await recomputeRunMetrics(url);
+    } catch (error) {
+      console.error(`Failed to recompute run metrics for ${url}:`, error);
+    }
+  }
+  metricsWorker = null;
+}
+
+// Score an article's runs against its current gold standard, then re-check its
+// regressions. The gold standard is re-read per run: when it changes meanwhile
+// the article is queued again, and when it is removed the job stops.
+async function recomputeRunMetrics(url) {
+  const runs = await store.query(`SELECT id FROM corrections WHERE article_url = ?`, [url]);
+  for (const [id] of runs) {
+    await new Promise(resolve => setImmediate(resolve));
+    const gold = await store.query(`SELECT gold_text FROM gold_standards WHERE article_url = ?`, [url]);
+    if (!gold.length) {
+      await store.run('DELETE FROM run_metrics WHERE article_url = ?', [url]);
+      break;
+    }
+    await storeRunMetrics(store, id, gold[0][0]);
+  }
+
+  await recheckArticleRegressions(url);
+  schedulePersist();
+}
+
+// Queue the articles with a gold standard that have runs without metrics, e.g.
+// when the server stopped before a recompute finished
+async function queueMissingRunMetrics() {
+  const rows = await store.query(`
+    SELECT DISTINCT c.article_url
+    FROM corrections c
+    JOIN gold_standards g ON g.article_url = c.article_url
+    LEFT JOIN run_metrics m ON m.correction_id = c.id
+    WHERE m.correction_id IS NULL
+  `);
+  rows.forEach(([url]) => queueRunMetrics(url));
+  return rows.length;
+}
+
+// Get gold standard for an article
+async function getGoldStandard(url, executor = store) {
+  const rows = await executor.query(`
+    SELECT article_url, gold_text, author, notes, created_at, updated_at
+    FROM gold_standards WHERE article_url = ?
+  `, [url]);
+
+  if (!rows.length) {
+    return null;
+  }
+
+  const row = rows[0];
+
+  return {
+    article_url: row[0],
+    gold_text: row[1],
+    author: row[2],
+    notes: row[3],
+    created_at: row[4] + 'Z',
+    updated_at: row[5] + 'Z'
+  };
+}
+
+// Create gold standard for an article. The gold standard, the reset of the runs'
+// metrics and the audit entry are written in one transaction; the metrics are
+// then recomputed in the background.
+async function saveGoldStandard(url, data, actor = null) {
+  const now = timestamp();
+  await store.transaction(async (tx) => {
+    await tx.run(`
+      INSERT INTO gold_standards (article_url, gold_text, author, notes, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [url, data.gold_text, data.author || null, data.notes || null, now, now]);
+
+    await insertAudit(tx, actor, {
+      action: 'gold.created',
+      targetType: 'gold_standard',
+      targetId: url,
+      articleUrl: url,
+      after: await getGoldStandard(url, tx)
+    });
+
+    await resetRunMetrics(tx, url);
+  });
+
+  await store.persist();
+  queueRunMetrics(url);
+  return getGoldStandard(url);
+}
+
+// Update gold standard for an article (only provided fields are changed), in
+// one transaction with the reset of the runs' metrics and the audit entry
+async function updateGoldStandard(url, data, actor = null) {
+  const updated = await store.transaction(async (tx) => {
+    const existing = await getGoldStandard(url, tx);
+    if (!existing) return false;
+
+    await tx.run(`
+      UPDATE gold_standards
+      SET gold_text = ?,
+          author = ?,
+          notes = ?,
+          updated_at = ?
+      WHERE article_url = ?
+    `, [
+      data.gold_text !== undefined ? data.gold_text : existing.gold_text,
+      data.author !== undefined ? data.author : existing.author,
+      data.notes !== undefined ? data.notes : existing.notes,
+      timestamp(),
+      url
+    ]);
+
+    await insertAudit(tx, actor, {
+      action: 'gold.updated',
+      targetType: 'gold_standard',
+      targetId: url,
+      articleUrl: url,
+      before: existing,
+      after: await getGoldStandard(url, tx)
+    });
+
+    await resetRunMetrics(tx, url);
+    return true;
+  });
+  if (!updated) return null;
+
+  await store.persist();
+  queueRunMetrics(url);
+  return getGoldStandard(url);
+}
+
+// Remove gold standard for an article, in one transaction with the removal of
+// the runs' metrics and the audit entry
+async function removeGoldStandard(url, actor = null) {
+  const removed = await store.transaction(async (tx) => {
+    const existing = await getGoldStandard(url, tx);
+    if (!existing) return false;
+
+    await tx.run('DELETE FROM gold_standards WHERE article_url = ?', [url]);
+    await insertAudit(tx, actor, {
+      action: 'gold.deleted',
+      targetType: 'gold_standard',
+      targetId: url,
+      articleUrl: url,
+      before: existing
+    });
+    await resetRunMetrics(tx, url);
+    return true;
+  });
+  if (!removed) {
+    return false;
+  }
+
+  await store.persist();
+  queueRunMetrics(url);
+  return true;
+}
+
+// A run is flagged when a metric drops by more than this compared with the previous run
+const REGRESSION_THRESHOLD = parseFloat(process.env.REGRESSION_THRESHOLD) || 0.1;
+
+// Compared against the previous run's metrics when the article has a gold standard
+const REGRESSION_METRICS = ['f1', 'similarity'];
+
+// Compare a run with the article's previous run and store a flag per metric
+// that dropped beyond the threshold. With a gold standard both runs are scored
+// against it (F1 and similarity); without one the run is compared directly with
+// the text of the previous run on the same original version (run_similarity,
+// flagged when 1 - similarity exceeds the threshold), and not checked when there
+// is none. Returns the regression, or null when the run is not flagged.
+async function checkRegression(correctionId, threshold = REGRESSION_THRESHOLD) {
+  await store.run('DELETE FROM run_regressions WHERE correction_id = ?', [correctionId]);
+
+  const rows = await store.query(`
+    SELECT article_url, run_number, corrected_article, article_version_id
+    FROM corrections WHERE id = ? AND deleted_at IS NULL
+  `, [correctionId]);
+  if (!rows.length) return null;
+
+  const [articleUrl, runNumber, correctedArticle, articleVersionId] = rows[0];
+  const gold = await getGoldStandard(articleUrl);
+
+  // Corrected texts of different originals differ regardless of run quality
+  const previousRows = await store.query(`
+    SELECT id, corrected_article
+    FROM corrections
+    WHERE article_url = ? AND run_number < ? AND deleted_at IS NULL
+      ${gold ? '' : 'AND article_version_id = ?'}
+    ORDER BY run_number DESC LIMIT 1
+  `, gold ? [articleUrl, runNumber] : [articleUrl, runNumber, articleVersionId]);
+  if (!previousRows.length) return null;
+
+  const [previousRunId, previousCorrected] = previousRows[0];
+  const drops = [];
+
+  if (gold) {
+    const current = await getRunMetrics(correctionId);
+    const previous = await getRunMetrics(previousRunId);
+    if (current && previous) {
+      for (const metric of REGRESSION_METRICS) {
+        drops.push({ metric, previous: previous[metric], current: current[metric] });
+      }
+    }
+  } else {
+    const similarity = calculateRunSimilarity(
+      { corrected_article: correctedArticle },
+      { corrected_article: previousCorrected }
+    );
+    drops.push({ metric: 'run_similarity', previous: null, current: similarity });
+  }
+
+  const now = timestamp();
+  for (const drop of drops) {
+    const amount = Math.round(((drop.previous ?? 1) - drop.current) * 100) / 100;
+    if (amount <= threshold) continue;
+
+    await store.run(`
+      INSERT INTO run_regressions (correction_id, article_url, previous_run_id, basis, metric,
+                                   previous_value, current_value, drop_amount, threshold, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      correctionId,
+      articleUrl,
+      previousRunId,
+      gold ? 'gold' : 'previous_run',
+      drop.metric,
+      drop.previous,
+      drop.current,
+      amount,
+      threshold,
+      now
+    ]);
+  }
+
+  return getRunRegression(correctionId);
+}
+
+// Check newly saved runs. The runs are already committed, so a failing check is
+// logged rather than failing the save.
+async function flagRegressions(ids) {
+  for (const id of ids) {
+    try {
+      await checkRegression(id);
+    } catch (error) {
+      console.error(`Regression check failed for run ${id}:`, error);
+    }
+  }
+}
+
+// Re-check every run of an article (after its runs' metrics were recomputed)
+async function recheckArticleRegressions(url) {
+  const rows = await store.query(`
+    SELECT id FROM corrections
+    WHERE article_url = ? AND deleted_at IS NULL
+    ORDER BY run_number
+  `, [url]);
+  await flagRegressions(rows.map(row => row[0]));
+}
+
+// Re-check the runs whose previous run changed when run runNumber (made from
+// original articleVersionId) left or returned: the next run, and the next run
+// on the same original version
+async function recheckNextRun(url, runNumber, articleVersionId) {
+  const rows = await store.query(`
+    SELECT id FROM corrections
+    WHERE article_url = ? AND run_number > ? AND deleted_at IS NULL
+    ORDER BY run_number LIMIT 1
+  `, [url, runNumber]);
+  const sameVersionRows = await store.query(`
+    SELECT id FROM corrections
+    WHERE article_url = ? AND run_number > ? AND article_version_id = ? AND deleted_at IS NULL
+    ORDER BY run_number LIMIT 1
+  `, [url, runNumber, articleVersionId]);
+  await flagRegressions([...new Set([...rows, ...sameVersionRows].map(row => row[0]))]);
+}
+
+const REGRESSION_COLUMNS = `
+  r.correction_id, r.article_url, a.title, c.run_number, r.previous_run_id, p.run_number,
+  r.basis, r.threshold, r.created_at, r.metric, r.previous_value, r.current_value, r.drop_amount
+`;
+
+const REGRESSION_FROM = `
+  FROM run_regressions r
+  JOIN corrections c ON c.id = r.correction_id
+  LEFT JOIN corrections p ON p.id = r.previous_run_id
+  LEFT JOIN articles a ON a.url = r.article_url
+`;
+
+// Group REGRESSION_COLUMNS rows (one per metric) into one regression per run
+function groupRegressions(rows) {
+  const regressions = [];
+  const byRun = new Map();
+
+  for (const row of rows) {
+    let regression = byRun.get(row[0]);
+    if (!regression) {
+      regression = {
+        run_id: row[0],
+        article_url: row[1],
+        title: row[2],
+        run_number: row[3],
+        previous_run_id: row[4],
+        previous_run_number: row[5],
+        basis: row[6],
+        threshold: row[7],
+        created_at: row[8] + 'Z',
+        drops: []
+      };
+      byRun.set(row[0], regression);
+      regressions.push(regression);
+    }
+
+    regression.drops.push({
+      metric: row[9],
+      previous: row[10],
+      current: row[11],
+      drop: row[12]
+    });
+  }
+
+  return regressions;
+}
+
+// Get the regression flag of a run, or null when it is not flagged
+async function getRunRegression(correctionId) {
+  const rows = await store.query(`
+    SELECT ${REGRESSION_COLUMNS}
+    ${REGRESSION_FROM}
+    WHERE r.correction_id = ?
+    ORDER BY r.metric
+  `, [correctionId]);
+
+  return groupRegressions(rows)[0] || null;
+}
+
+// List flagged runs, newest first. Filters: since (flagged at or after),
+// article_url, limit (number of runs)
+async function listRegressions(filters = {}) {
+  const { since, articleUrl, limit = 100 } = filters;
+  const conditions = [];
+  const params = [];
+
+  if (since) {
+    conditions.push('created_at >= ?');
+    params.push(timestamp(new Date(since)));
+  }
+  if (articleUrl) {
+    conditions.push('article_url = ?');
+    params.push(articleUrl);
+  }
+
+  const idRows = await store.query(`
+    SELECT correction_id, MAX(created_at) as flagged_at
+    FROM run_regressions
+    ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+    GROUP BY correction_id
+    ORDER BY flagged_at DESC, correction_id DESC
+    LIMIT ?
+  `, [...params, limit]);
+
+  if (!idRows.length) {
+    return [];
+  }
+
+  const ids = idRows.map(row => row[0]);
+  const rows = await store.query(`
+    SELECT ${REGRESSION_COLUMNS}
+    ${REGRESSION_FROM}
+    WHERE r.correction_id IN (${ids.map(() => '?').join(', ')})
+    ORDER BY r.created_at DESC, r.correction_id DESC, r.metric
+  `, ids);
+
+  return groupRegressions(rows);
+}
+
+// Metrics compared between experiments
+const EXPERIMENT_METRICS = ['f1', 'precision', 'recall', 'similarity'];
+
+// Experiment row (EXPERIMENT_COLUMNS) to API shape
+function formatExperiment(row) {
+  return {
+    id: row[0],
+    name: row[1],
+    description: row[2],
+    created_at: row[3] + 'Z',
+    run_count: row[4] || 0,
+    article_count: row[5] || 0
+  };
+}
+
+const EXPERIMENT_COLUMNS = `
+  e.id, e.name, e.description, e.created_at,
+  COUNT(c.id) as run_count,
+  COUNT(DISTINCT c.article_url) as article_count
+`;
+
+// List experiments, newest first
+async function listExperiments() {
+  const rows = await store.query(`
+    SELECT ${EXPERIMENT_COLUMNS}
+    FROM experiments e
+    LEFT JOIN corrections c ON c.experiment_id = e.id AND c.deleted_at IS NULL
+    GROUP BY e.id, e.name, e.description, e.created_at
+    ORDER BY e.created_at DESC, e.id DESC
+  `);
+  return rows.map(formatExperiment);
+}
+
+// Get an experiment with its runs
+async function getExperiment(id) {
+  const rows = await store.query(`
+    SELECT ${EXPERIMENT_COLUMNS}
+    FROM experiments e
+    LEFT JOIN corrections c ON c.experiment_id = e.id AND c.deleted_at IS NULL
+    WHERE e.id = ?
+    GROUP BY e.id, e.name, e.description, e.created_at
+  `, [id]);
+
+  if (!rows.length) {
+    return null;
+  }
+
+  const experiment = formatExperiment(rows[0]);
+  const runRows = await store.query(`
+    SELECT c.id, c.article_url, c.run_number, c.created_at, a.title
+    FROM corrections c
+    JOIN articles a ON a.url = c.article_url
+    WHERE c.experiment_id = ? AND c.deleted_at IS NULL
+    ORDER BY c.created_at DESC, c.id DESC
+  `, [id]);
+
+  experiment.runs = runRows.map(row => ({
+    id: row[0],
+    article_url: row[1],
+    run_number: row[2],
+    created_at: row[3] + 'Z',
+    title: row[4]
+  }));
+
+  return experiment;
+}
+
+// Create an experiment; returns null if the name is taken
+async function createExperiment({ name, description }, actor = null) {
+  const existing = await store.query(`SELECT id FROM experiments WHERE name = ?`, [name]);
+  if (existing.length) {
+    return null;
+  }
+
+  const inserted = await store.query(
+    `INSERT INTO experiments (name, description, created_at) VALUES (?, ?, ?) RETURNING id`,
+    [name, description || null, timestamp()]
+  );
+  await insertAudit(store, actor, {
+    action: 'experiment.created',
+    targetType: 'experiment',
+    targetId: inserted[0][0],
+    after: { name, description: description || null }
+  });
+  await store.persist();
+  return getExperiment(inserted[0][0]);
+}
+
+// Assign existing runs to an experiment (a run belongs to at most one experiment).
+// Nothing is assigned if any run is missing; returns the missing ids.
+async function assignRunsToExperiment(experimentId, runIds, actor = null) {
+  const missing = [];
+  const runs = [];
+  for (const runId of runIds) {
+    const rows = await store.query(
+      `SELECT id, article_url, experiment_id FROM corrections WHERE id = ? AND deleted_at IS NULL`,
+      [runId]
+    );
+    if (rows.length) {
+      runs.push(rows[0]);
+    } else {
+      missing.push(runId);
+    }
+  }
+
+  if (missing.length) {
+    return missing;
+  }
+
+  await store.transaction(async (tx) => {
+    for (const [runId, articleUrl, previousExperimentId] of runs) {
+      await tx.run(`UPDATE corrections SET experiment_id = ? WHERE id = ?`, [experimentId, runId]);
+      await insertAudit(tx, actor, {
+        action: 'experiment.run_assigned',
+        targetType: 'correction',
+        targetId: runId,
+        correctionId: runId,
+        articleUrl,
+        before: { experiment_id: previousExperimentId },
+        after: { experiment_id: experimentId }
+      });
+    }
+  });
+
+  await store.persist();
+  return missing;
+}
+
+// Remove a run from an experiment; returns false if the run is not in it
+async function removeRunFromExperiment(experimentId, runId, actor = null) {
+  const rows = await store.query(
+    `SELECT id, article_url FROM corrections WHERE id = ? AND experiment_id = ?`,
+    [runId, experimentId]
+  );
+  if (!rows.length) {
+    return false;
+  }
+
+  await store.run(`UPDATE corrections SET experiment_id = NULL WHERE id = ?`, [runId]);
+  await insertAudit(store, actor, {
+    action: 'experiment.run_removed',
+    targetType: 'correction',
+    targetId: runId,
+    correctionId: runId,
+    articleUrl: rows[0][1],
+    before: { experiment_id: experimentId },
+    after: { experiment_id: null }
+  });
+  await store.persist();
+  return true;
+}
+
+// Latest run per article in an experiment, with change count and metrics against gold
+async function getExperimentRunsByArticle(experimentId) {
+  const rows = await store.query(`
+    SELECT c.id, c.article_url, c.run_number, c.merged_changes, a.title, g.gold_text
+    FROM corrections c
+    JOIN articles a ON a.url = c.article_url
+    LEFT JOIN gold_standards g ON g.article_url = c.article_url
+    WHERE c.experiment_id = ? AND c.deleted_at IS NULL
+    ORDER BY c.created_at, c.id
+  `, [experimentId]);
+
+  const byArticle = {};
+  for (const [id, articleUrl, runNumber, mergedChanges, title, goldText] of rows) {
+    byArticle[articleUrl] = { id, run_number: runNumber, title, mergedChanges, goldText };
+  }
+
+  for (const run of Object.values(byArticle)) {
+    run.change_count = run.mergedChanges ? JSON.parse(run.mergedChanges).length : 0;
+    run.metrics = run.goldText !== null ? await getRunMetrics(run.id) : null;
+    delete run.mergedChanges;
+    delete run.goldText;
+  }
+
+  return byArticle;
+}
+
+// Compare two experiments article by article. A "win" is a higher F1 against the
+// article's gold standard; articles without gold or missing from one side are not scored.
+async function compareExperiments(aId, bId) {
+  const [a, b] = [await getExperiment(aId), await getExperiment(bId)];
+  if (!a || !b) {
+    return null;
+  }
+
+  const runsA = await getExperimentRunsByArticle(aId);
+  const runsB = await getExperimentRunsByArticle(bId);
+  const round = value => Math.round(value * 100) / 100;
+
+  const summary = { articles: 0, a_wins: 0, b_wins: 0, ties: 0, not_scored: 0, only_a: 0, only_b: 0 };
+  const f1Totals = { a: 0, b: 0, scored: 0 };
+
+  const urls = [...new Set([...Object.keys(runsA), ...Object.keys(runsB)])];
+  const articles = urls.map(url => {
+    const runA = runsA[url] || null;
+    const runB = runsB[url] || null;
+    const title = (runA || runB).title;
+    if (runA) delete runA.title;
+    if (runB) delete runB.title;
+
+    let outcome = null;
+    let deltas = null;
+
+    if (runA && runB) {
+      deltas = { change_count: runB.change_count - runA.change_count };
+
+      if (runA.metrics && runB.metrics) {
+        EXPERIMENT_METRICS.forEach(metric => {
+          deltas[metric] = round(runB.metrics[metric] - runA.metrics[metric]);
+        });
+        outcome = runA.metrics.f1 > runB.metrics.f1 ? 'a' : runB.metrics.f1 > runA.metrics.f1 ? 'b' : 'tie';
+        f1Totals.a += runA.metrics.f1;
+        f1Totals.b += runB.metrics.f1;
+        f1Totals.scored++;
+      }
+    }
+
+    summary.articles++;
+    if (outcome === 'a') summary.a_wins++;
+    else if (outcome === 'b') summary.b_wins++;
+    else if (outcome === 'tie') summary.ties++;
+    else if (runA && runB) summary.not_scored++;
+    else if (runA) summary.only_a++;
+    else summary.only_b++;
+
+    return { article_url: url, title, a: runA, b: runB, deltas, outcome };
+  });
+
+  articles.sort((x, y) => (x.title || x.article_url).localeCompare(y.title || y.article_url, 'sv'));
+
+  summary.mean_f1_a = f1Totals.scored ? round(f1Totals.a / f1Totals.scored) : null;
+  summary.mean_f1_b = f1Totals.scored ? round(f1Totals.b / f1Totals.scored) : null;
+
+  delete a.runs;
+  delete b.runs;
+
+  return { a, b, summary, articles };
+}
+
+// Events a webhook can subscribe to ('ping' is only sent by the test endpoint)
+const WEBHOOK_EVENTS = ['correction.created', 'correction.deleted', 'run.regression', 'review.completed'];
+
+const WEBHOOK_COLUMNS = 'id, url, events, description, active, created_at';
+
+// Webhook row (WEBHOOK_COLUMNS) to API shape; the secret is never listed
+function formatWebhook(row) {
+  return {
+    id: row[0],
+    url: row[1],
+    events: JSON.parse(row[2]),
+    description: row[3],
+    active: Boolean(row[4]),
+    created_at: row[5] + 'Z'
+  };
+}
+
+// List webhook subscriptions with their delivery counts per status
+async function listWebhooks() {
+  const rows = await store.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY id`);
+  const countRows = await store.query(`
+    SELECT webhook_id, status, COUNT(*)
+    FROM webhook_deliveries
+    GROUP BY webhook_id, status
+  `);
+
+  return rows.map(row => {
+    const webhook = formatWebhook(row);
+    webhook.deliveries = { pending: 0, success: 0, failed: 0 };
+    countRows
+      .filter(countRow => countRow[0] === webhook.id)
+      .forEach(([, status, count]) => { webhook.deliveries[status] = count; });
+    return webhook;
+  });
+}
+
+// Get a webhook subscription by id
+async function getWebhook(id) {
+  const rows = await store.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ?`, [id]);
+  return rows.length ? formatWebhook(rows[0]) : null;
+}
+
+// Create a webhook subscription. The secret is returned once, here.
+async function createWebhook({ url, events, secret, description }, actor = null) {
+  const inserted = await store.query(`
+    INSERT INTO webhooks (url, events, secret, description, active, created_at)
+    VALUES (?, ?, ?, ?, 1, ?)
+    RETURNING id
+  `, [url, JSON.stringify(events), secret, description || null, timestamp()]);
+
+  const webhook = await getWebhook(inserted[0][0]);
+  await insertAudit(store, actor, {
+    action: 'webhook.created',
+    targetType: 'webhook',
+    targetId: webhook.id,
+    after: webhook
+  });
+
+  await store.persist();
+  return { ...webhook, secret };
+}
+
+// Update a webhook subscription (only provided fields are changed)
+async function updateWebhook(id, data, actor = null) {
+  const rows = await store.query(`SELECT url, events, secret, description, active FROM webhooks WHERE id = ?`, [id]);
+  if (!rows.length) return null;
+
+  const before = await getWebhook(id);
+
+  const [url, events, secret, description, active] = rows[0];
+  await store.run(`
+    UPDATE webhooks
+    SET url = ?,
+        events = ?,
+        secret = ?,
+        description = ?,
+        active = ?
+    WHERE id = ?
+  `, [
+    data.url !== undefined ? data.url : url,
+    data.events !== undefined ? JSON.stringify(data.events) : events,
+    data.secret !== undefined ? data.secret : secret,
+    data.description !== undefined ? data.description : description,
+    data.active !== undefined ? (data.active ? 1 : 0) : active,
+    id
+  ]);
+
+  const after = await getWebhook(id);
+  await insertAudit(store, actor, {
+    action: 'webhook.updated',
+    targetType: 'webhook',
+    targetId: id,
+    before,
+    after: data.secret !== undefined ? { ...after, secret_changed: true } : after
+  });
+
+  await store.persist();
+  return after;
+}
+
+// Remove a webhook subscription and its delivery log
+async function removeWebhook(id, actor = null) {
+  const existing = await getWebhook(id);
+  if (!existing) {
+    return false;
+  }
+
+  await store.transaction(async (tx) => {
+    await insertAudit(tx, actor, {
+      action: 'webhook.deleted',
+      targetType: 'webhook',
+      targetId: id,
+      before: existing
+    });
+    await tx.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+    await tx.run('DELETE FROM webhooks WHERE id = ?', [id]);
+  });
+  await store.persist();
+  return true;
+}
+
+// Queue a delivery of an event to every active webhook subscribed to it, or
+// only to webhookId when given. Returns the new delivery ids.
+async function createWebhookDeliveries(event, payload, webhookId = null) {
+  const ids = await store.transaction(tx => queueWebhookDeliveries(tx, event, payload, webhookId));
+  if (ids.length) {
+    schedulePersist();
+  }
+  return ids;
+}
+
+// Queue deliveries like createWebhookDeliveries inside the caller's transaction,
+// which is flushed to disk with the rest of its writes
+async function queueWebhookDeliveries(executor, event, payload, webhookId = null) {
+  const rows = webhookId
+    ? await executor.query(`SELECT id, events FROM webhooks WHERE id = ?`, [webhookId])
+    : await executor.query(`SELECT id, events FROM webhooks WHERE active = 1`);
+
+  const subscribed = rows.filter(([, events]) => webhookId || JSON.parse(events).includes(event));
+  const now = timestamp();
+  const ids = [];
+  for (const [id] of subscribed) {
+    const result = await executor.query(`
+      INSERT INTO webhook_deliveries (webhook_id, event, payload, status, attempts, created_at, next_attempt_at)
+      VALUES (?, ?, ?, 'pending', 0, ?, ?)
+      RETURNING id
+    `, [id, event, payload, now, now]);
+    ids.push(result[0][0]);
+  }
+  return ids;
+}
+
+// Bookkeeping written outside requests (webhook deliveries, recomputed run
+// metrics) is flushed to disk at most once per this interval rather than after
+// every write; deliveries lost in a crash are retried or resent, and metrics
+// are recomputed on the next start
+const DELIVERY_FLUSH_MS = 5000;
+let deliveryFlush = null;
+
+function schedulePersist() {
+  if (deliveryFlush) return;
+  deliveryFlush = setTimeout(async () => {
+    deliveryFlush = null;
+    try {
+      await store.persist();
+    } catch (error) {
+      console.error('Failed to flush background writes:', error);
+    }
+  }, DELIVERY_FLUSH_MS);
+  deliveryFlush.unref();
+}
+
+// Get a delivery with the target URL and secret of its webhook
+async function getWebhookDelivery(id) {
+  const rows = await store.query(`
+    SELECT d.id, d.webhook_id, d.event, d.payload, d.status, d.attempts, w.url, w.secret, w.active
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.id = ?
+  `, [id]);
+
+  if (!rows.length) {
+    return null;
+  }
+
+  const row = rows[0];
+  return {
+    id: row[0],
+    webhook_id: row[1],
+    event: row[2],
+    payload: row[3],
+    status: row[4],
+    attempts: row[5],
+    url: row[6],
+    secret: row[7],
+    active: Boolean(row[8])
+  };
+}
+
+// Record the outcome of a delivery attempt. nextAttemptAt is set while retries remain.
+async function recordWebhookAttempt(id, { status, responseStatus, error, nextAttemptAt }) {
+  await store.run(`
+    UPDATE webhook_deliveries
+    SET status = ?,
+        attempts = attempts + 1,
+        response_status = ?,
+        error = ?,
+        last_attempt_at = ?,
+        next_attempt_at = ?
+    WHERE id = ?
+  `, [
+    status,
+    responseStatus || null,
+    error || null,
+    timestamp(),
+    nextAttemptAt ? timestamp(nextAttemptAt) : null,
+    id
+  ]);
+  schedulePersist();
+}
+
+// Pending deliveries and when they are due, for resuming retries after a restart
+async function getPendingWebhookDeliveries() {
+  const rows = await store.query(`
+    SELECT id, next_attempt_at FROM webhook_deliveries
+    WHERE status = 'pending'
+    ORDER BY id
+  `);
+
+  return rows.map(row => ({ id: row[0], next_attempt_at: row[1] ? row[1] + 'Z' : null }));
+}
+
+// Delivery log of a webhook, newest first, optionally only one status
+async function listWebhookDeliveries(webhookId, filters = {}) {
+  const { status, limit = 50 } = filters;
+  const rows = await store.query(`
+    SELECT id, event, payload, status, attempts, response_status, error,
+           created_at, last_attempt_at, next_attempt_at
+    FROM webhook_deliveries
+    WHERE webhook_id = ? ${status ? 'AND status = ?' : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `, [webhookId, ...(status ? [status] : []), limit]);
+
+  return rows.map(row => ({
+    id: row[0],
+    event: row[1],
+    payload: JSON.parse(row[2]),
+    status: row[3],
+    attempts: row[4],
+    response_status: row[5],
+    error: row[6],
+    created_at: row[7] + 'Z',
+    last_attempt_at: row[8] ? row[8] + 'Z' : null,
+    next_attempt_at: row[9] ? row[9] + 'Z' : null
+  }));
+}
+
+const API_KEY_COLUMNS = 'id, name, role, key_prefix, created_at, revoked_at';
+
+// API key row (API_KEY_COLUMNS) to API shape; the key itself is never stored
+function formatApiKey(row) {
+  return {
+    id: row[0],
+    name: row[1],
+    role: row[2],
+    key_prefix: row[3],
+    created_at: row[4] + 'Z',
+    revoked_at: row[5] ? row[5] + 'Z' : null
+  };
+}
+
+// List API keys, including revoked ones
+async function listApiKeys() {
+  const rows = await store.query(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY id`);
+  return rows.map(formatApiKey);
+}
+
+// Store a new API key by its hash
+async function createApiKey({ name, role, keyHash, keyPrefix }, actor = null) {
+  const inserted = await store.query(`
+    INSERT INTO api_keys (name, role, key_hash, key_prefix, created_at)
+    VALUES (?, ?, ?, ?, ?)
+    RETURNING ${API_KEY_COLUMNS}
+  `, [name, role, keyHash, keyPrefix, timestamp()]);
+
+  const apiKey = formatApiKey(inserted[0]);
+  await insertAudit(store, actor, {
+    action: 'api_key.created',
+    targetType: 'api_key',
+    targetId: apiKey.id,
+    after: { name, role, key_prefix: keyPrefix }
+  });
+
+  await store.persist();
+  return apiKey;
+}
+
+// Find an active (not revoked) API key by hash
+async function findApiKeyByHash(keyHash) {
+  const rows = await store.query(`
+    SELECT ${API_KEY_COLUMNS} FROM api_keys
+    WHERE key_hash = ? AND revoked_at IS NULL
+  `, [keyHash]);
+
+  return rows.length ? formatApiKey(rows[0]) : null;
+}
+
+// Find an active API key by id, including its hash (for checking download tokens)
+async function getApiKeyWithHash(id) {
+  const rows = await store.query(`
+    SELECT ${API_KEY_COLUMNS}, key_hash FROM api_keys
+    WHERE id = ? AND revoked_at IS NULL
+  `, [id]);
+
+  return rows.length ? { ...formatApiKey(rows[0]), key_hash: rows[0][6] } : null;
+}
+
+// Revoke an API key. Returns false when it does not exist or is already revoked.
+async function revokeApiKey(id, actor = null) {
+  const rows = await store.query(`SELECT name, role, key_prefix FROM api_keys WHERE id = ? AND revoked_at IS NULL`, [id]);
+  if (!rows.length) {
+    return false;
+  }
+
+  const [name, role, keyPrefix] = rows[0];
+  await store.run('UPDATE api_keys SET revoked_at = ? WHERE id = ?', [timestamp(), id]);
+  await insertAudit(store, actor, {
+    action: 'api_key.revoked',
+    targetType: 'api_key',
+    targetId: id,
+    before: { name, role, key_prefix: keyPrefix }
+  });
+  await store.persist();
+  return true;
+}
+
+// Filters for listAuditLog and the audit_log column each one matches
+const AUDIT_FILTERS = {
+  action: 'action',
+  actor: 'actor',
+  targetType: 'target_type',
+  targetId: 'target_id',
+  correctionId: 'correction_id',
+  articleUrl: 'article_url'
+};
+
+// Read the audit log, newest first. Filters: action, actor, targetType, targetId,
+// correctionId, articleUrl, from/to (created_at); paginated like listArticles.
+async function listAuditLog(filters = {}) {
+  const { from, to, page = 1, pageSize = 50 } = filters;
+  const conditions = [];
+  const params = [];
+
+  Object.entries(AUDIT_FILTERS).forEach(([filter, column]) => {
+    if (filters[filter] !== undefined && filters[filter] !== null) {
+      conditions.push(`${column} = ?`);
+      params.push(filter === 'targetId' ? String(filters[filter]) : filters[filter]);
+    }
+  });
+  addDateRange(conditions, params, 'created_at', from, to);
+
+  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+  const countRows = await store.query(`SELECT COUNT(*) FROM audit_log ${where}`, params);
+  const totalEntries = countRows[0]?.[0] || 0;
+
+  const rows = await store.query(`
+    SELECT id, action, actor, actor_key_id, target_type, target_id, correction_id, article_url,
+           before_state, after_state, created_at
+    FROM audit_log
+    ${where}
+    ORDER BY id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, pageSize, (page - 1) * pageSize]);
+
+  return {
+    entries: rows.map(row => ({
+      id: row[0],
+      action: row[1],
+      actor: row[2],
+      actor_key_id: row[3],
+      target_type: row[4],
+      target_id: row[5],
+      correction_id: row[6],
+      article_url: row[7],
+      before: parseJson(row[8]),
+      after: parseJson(row[9]),
+      created_at: row[10] + 'Z'
+    })),
+    pagination: {
+      totalEntries,
+      totalPages: Math.ceil(totalEntries / pageSize),
+      currentPage: page,
+      pageSize
+    }
+  };
+}
+
+// Full-text search over articles, runs and merged changes.
+// Every result points at a run; article matches resolve to the article's latest run.
+async function searchCorrections({ q, kind, limit = 50 }) {
+  const terms = search.parseSearchQuery(q);
+  if (!terms.length) {
+    return [];
+  }
+
+  let matchSql;
+  let params;
+
+  if (store.dialect === 'postgres') {
+    const headlineOptions = `StartSel=${search.HIGHLIGHT_START}, StopSel=${search.HIGHLIGHT_END}, ` +
+      'MaxWords=30, MinWords=12, MaxFragments=1, FragmentDelimiter=" … "';
+    matchSql = `
+      SELECT correction_id, article_url, kind, change_key,
+             ts_headline('simple', content, to_tsquery('simple', ?), ?) AS snippet
+      FROM search_index
+      WHERE document @@ to_tsquery('simple', ?)
+    `;
+    const tsQuery = search.toTsQuery(terms);
+    params = [tsQuery, headlineOptions, tsQuery];
+  } else {
+    matchSql = `
+      SELECT correction_id, article_url, kind, change_key,
+             snippet(search_index, char(2), char(3), '…', 4, 24) AS snippet
+      FROM search_index
+      WHERE search_index MATCH ?
+    `;
+    params = [search.toFtsQuery(terms)];
+  }
+
+  if (kind) {
+    matchSql += ' AND kind = ?';
+    params.push(kind);
+  }
+
+  const rows = await store.query(`
+    SELECT m.kind, c.id, c.run_number, m.article_url, a.title, m.change_key, c.created_at, m.snippet
+    FROM (${matchSql}) m
+    JOIN articles a ON a.url = m.article_url
+    JOIN corrections c ON c.id = COALESCE(m.correction_id, (
+      SELECT latest.id FROM corrections latest
+      WHERE latest.article_url = m.article_url AND latest.deleted_at IS NULL
+      ORDER BY latest.run_number DESC
+      LIMIT 1
+    ))
+    ORDER BY CASE m.kind WHEN 'change' THEN 0 WHEN 'run' THEN 1 ELSE 2 END, c.created_at DESC, c.id DESC
+    LIMIT ?
+  `, [...params, limit]);
+
+  return rows.map(row => ({
+    kind: row[0],
+    correction_id: row[1],
+    run_number: row[2],
+    article_url: row[3],
+    title: row[4],
+    change_key: row[5],
+    created_at: row[6] + 'Z',
+    snippet: search.splitSnippet(row[7])
+  }));
 }
 
 module.exports = {
   initDatabase,
+  lockDatabase,
+  getDatabaseHolder,
+  getMigrationStatus,
+  runMigrations,
   saveCorrection,
+  saveCorrections,
   listCorrections,
   getCorrection,
   removeCorrection,
+  restoreCorrection,
+  purgeCorrection,
+  listTrash,
+  ARTICLE_SORTS,
+  ARTICLE_METRICS,
   listArticles,
   getArticleByUrl,
   getArticleWithRuns,
-  getRunById
+  listArticleVersions,
+  getArticleVersion,
+  getRunById,
+  REVIEW_STATUSES,
+  saveChangeReview,
+  getReviewSummary,
+  getChangeReviewHistory,
+  getAgentLeaderboard,
+  forEachChangeBatch,
+  listExperiments,
+  getExperiment,
+  createExperiment,
+  assignRunsToExperiment,
+  removeRunFromExperiment,
+  compareExperiments,
+  REGRESSION_THRESHOLD,
+  getRunRegression,
+  listRegressions,
+  WEBHOOK_EVENTS,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  removeWebhook,
+  createWebhookDeliveries,
+  queueWebhookDeliveries,
+  getWebhookDelivery,
+  recordWebhookAttempt,
+  getPendingWebhookDeliveries,
+  listWebhookDeliveries,
+  listApiKeys,
+  createApiKey,
+  findApiKeyByHash,
+  getApiKeyWithHash,
+  revokeApiKey,
+  listAuditLog,
+  searchCorrections,
+  queueMissingRunMetrics,
+  getGoldStandard,
+  saveGoldStandard,
+  updateGoldStandard,
+  removeGoldStandard
 };
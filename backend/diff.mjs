@@ -0,0 +1,278 @@
+// Word diff shared by the backend (exports, metrics, POST /api/diff) and the
+// frontend viewers, so every view of a run shows the same changes.
+//
+// This is an ES module: the backend loads it with require() (Node >= 20.19)
+// and the frontend imports it from src/, running the word diff in a Web Worker
+// (src/diffWorker.js). It must not depend on anything else.
+
+// Words, runs of whitespace and single punctuation marks are separate tokens
+const TOKEN_PATTERN = /(\s+|[.,!?;:"()–—\-\[\]{}])/;
+const WHITESPACE_PATTERN = /^\s+$/;
+
+// Split text into tokens; joining the tokens gives back the text
+export function tokenize(text) {
+  if (!text) return [];
+  return text.split(TOKEN_PATTERN).filter(token => token.length > 0);
+}
+
+// Lower-cased words and punctuation marks without the whitespace, for metrics
+export function contentTokens(text) {
+  return tokenize(text)
+    .filter(token => !WHITESPACE_PATTERN.test(token))
+    .map(token => token.toLowerCase());
+}
+
+// Myers diff of two token arrays: one { type: 'equal' | 'delete' | 'insert', text } per token.
+//
+// Linear-space variant (Myers 1986, section 4b): instead of keeping every
+// round of the search to walk back through, find the middle snake of the
+// shortest edit path by searching from both ends, then diff the halves before
+// and after it the same way. Memory stays O(N + M) however far apart the texts
+// are, which matters for long articles with many changes.
+export function myersDiff(a, b) {
+  const operations = [];
+  diffRange(a, 0, a.length, b, 0, b.length, operations);
+  return operations;
+}
+
+function pushTokens(operations, type, tokens, start, end) {
+  for (let i = start; i < end; i++) {
+    operations.push({ type, text: tokens[i] });
+  }
+}
+
+// Diff a[aStart, aEnd) against b[bStart, bEnd), appending to operations
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, operations) {
+  const prefixStart = aStart;
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    aStart++;
+    bStart++;
+  }
+  pushTokens(operations, 'equal', a, prefixStart, aStart);
+
+  const suffixEnd = aEnd;
+  while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+  }
+
+  const split = aStart < aEnd && bStart < bEnd ? middleSnake(a, aStart, aEnd, b, bStart, bEnd) : null;
+  if (split && (split.x > aStart || split.y > bStart) && (split.x < aEnd || split.y < bEnd)) {
+    diffRange(a, aStart, split.x, b, bStart, split.y, operations);
+    diffRange(a, split.x, aEnd, b, split.y, bEnd, operations);
+  } else {
+    pushTokens(operations, 'delete', a, aStart, aEnd);
+    pushTokens(operations, 'insert', b, bStart, bEnd);
+  }
+
+  pushTokens(operations, 'equal', a, aEnd, suffixEnd);
+}
+
+// Point { x, y } on a shortest edit path through the middle of the ranges, or
+// null when the ranges have nothing in common. Searches forward from the start
+// and backward from the end one edit at a time until the two searches overlap.
+function middleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+  const N = aEnd - aStart;
+  const M = bEnd - bStart;
+  const maxD = Math.ceil((N + M) / 2);
+  const offset = maxD;
+  // Furthest x reached on each diagonal k = x - y, forward and backward
+  // (the backward search counts x and y from the end)
+  const forward = new Int32Array(2 * maxD + 2).fill(-1);
+  const backward = new Int32Array(2 * maxD + 2).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+  const delta = N - M;
+  // With an odd delta the searches meet in a forward round, otherwise in a backward one
+  const meetForward = delta % 2 !== 0;
+  // Diagonals trimmed off each side once they run past the end of a range
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < N && y < M && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+
+      if (x > N) {
+        forwardEnd += 2;
+      } else if (y > M) {
+        forwardStart += 2;
+      } else if (meetForward) {
+        const reverse = offset + delta - k;
+        if (reverse >= 0 && reverse < forward.length && backward[reverse] !== -1 && x >= N - backward[reverse]) {
+          return { x: aStart + x, y: bStart + y };
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < N && y < M && a[aEnd - x - 1] === b[bEnd - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+
+      if (x > N) {
+        backwardEnd += 2;
+      } else if (y > M) {
+        backwardStart += 2;
+      } else if (!meetForward) {
+        const ahead = offset + delta - k;
+        if (ahead >= 0 && ahead < forward.length && forward[ahead] !== -1 && forward[ahead] >= N - x) {
+          const forwardX = forward[ahead];
+          return { x: aStart + forwardX, y: bStart + forwardX - (delta - k) };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Token-level word diff between two texts
+export function computeWordDiff(text1, text2) {
+  return myersDiff(tokenize(text1), tokenize(text2));
+}
+
+// Lines and the line breaks between them as tokens
+export function tokenizeParagraphs(text) {
+  if (!text) return [];
+  return text.split(/(\n+)/).filter(token => token.length > 0);
+}
+
+// Paragraph-level diff: whole paragraphs are equal, deleted or inserted. Much
+// cheaper than the word diff, for when that takes too long.
+export function paragraphDiff(text1, text2) {
+  return myersDiff(tokenizeParagraphs(text1), tokenizeParagraphs(text2));
+}
+
+// Join adjacent operations of the same type
+export function mergeOperations(operations) {
+  const merged = [];
+  for (const op of operations) {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) {
+      last.text += op.text;
+    } else {
+      merged.push({ type: op.type, text: op.text });
+    }
+  }
+  return merged;
+}
+
+// Stretches of changes longer than this (on either side) stay at word level
+const MAX_REFINE_LENGTH = 200;
+
+// Second pass over a word diff: each stretch of changes with both deleted and
+// inserted text is diffed again character by character, so compounding
+// ("militär styrka" → "militärstyrka"), hyphenation and casing show as the exact
+// space, hyphen or letter that changed. Stretches sharing less than half their
+// characters are rewrites and stay whole words. Returns merged operations.
+export function refineCharacters(operations) {
+  const refined = [];
+  let deleted = '';
+  let inserted = '';
+
+  const flush = () => {
+    const a = Array.from(deleted);
+    const b = Array.from(inserted);
+    let chars = null;
+    if (a.length && b.length && a.length <= MAX_REFINE_LENGTH && b.length <= MAX_REFINE_LENGTH) {
+      chars = myersDiff(a, b);
+      const common = chars.filter(op => op.type === 'equal').length;
+      if (common * 2 < Math.max(a.length, b.length)) chars = null;
+    }
+
+    if (chars) {
+      refined.push(...chars);
+    } else {
+      if (deleted) refined.push({ type: 'delete', text: deleted });
+      if (inserted) refined.push({ type: 'insert', text: inserted });
+    }
+    deleted = '';
+    inserted = '';
+  };
+
+  for (const op of operations) {
+    if (op.type === 'equal') {
+      flush();
+      refined.push(op);
+    } else if (op.type === 'delete') {
+      deleted += op.text;
+    } else {
+      inserted += op.text;
+    }
+  }
+  flush();
+
+  return mergeOperations(refined);
+}
+
+// Word diff as merged operations with character offsets (UTF-16 code units, as
+// in JavaScript strings) into both texts. Deletions have an empty range in b
+// and insertions an empty range in a, at the position where they apply.
+export function diffWithOffsets(text1, text2) {
+  let aPos = 0;
+  let bPos = 0;
+
+  return mergeOperations(computeWordDiff(text1, text2)).map(op => {
+    const aLength = op.type === 'insert' ? 0 : op.text.length;
+    const bLength = op.type === 'delete' ? 0 : op.text.length;
+    const located = {
+      ...op,
+      a_start: aPos,
+      a_end: aPos + aLength,
+      b_start: bPos,
+      b_end: bPos + bLength
+    };
+    aPos += aLength;
+    bPos += bLength;
+    return located;
+  });
+}
+
+// Collapse operations into hunks: { equal } for unchanged text, or
+// { deleted, inserted } for each stretch of changes between unchanged text
+export function toHunks(operations) {
+  const hunks = [];
+  for (const op of operations) {
+    const last = hunks[hunks.length - 1];
+    if (op.type === 'equal') {
+      if (last && last.equal !== undefined) {
+        last.equal += op.text;
+      } else {
+        hunks.push({ equal: op.text });
+      }
+    } else {
+      const hunk = last && last.equal === undefined ? last : { deleted: '', inserted: '' };
+      if (hunk !== last) hunks.push(hunk);
+      hunk[op.type === 'delete' ? 'deleted' : 'inserted'] += op.text;
+    }
+  }
+  return hunks;
+}
+
+// Characters deleted and inserted, and the number of changed stretches
+export function diffStats(operations) {
+  const stats = { deleted_chars: 0, inserted_chars: 0, changes: 0 };
+  toHunks(operations).forEach(hunk => {
+    if (hunk.equal !== undefined) return;
+    stats.deleted_chars += hunk.deleted.length;
+    stats.inserted_chars += hunk.inserted.length;
+    stats.changes++;
+  });
+  return stats;
+}
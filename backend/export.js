@@ -0,0 +1,243 @@
+// Exports.
+//
+// Annotated correction reports: the word diff between original and corrected
+// text with insertions and deletions marked, followed by the list of merged
+// changes. Rendered as a standalone HTML page, Markdown or CriticMarkup.
+//
+// Change datasets: every merged change flattened to a CSV or JSONL row, for
+// agent training and offline analysis.
+
+const { computeWordDiff, toHunks } = require('./diff.mjs');
+
+const EXPORT_FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  critic: { contentType: 'text/markdown; charset=utf-8', extension: 'critic.md' }
+};
+
+const REVIEW_LABELS = {
+  accepted: 'Godkänd',
+  rejected: 'Avvisad',
+  needs_discussion: 'Diskutera'
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_~[\]<>#|])/g, '\\$1');
+}
+
+// Wrap each line of text in markers, leaving surrounding whitespace outside them
+// (Markdown emphasis does not work across line breaks or with inner padding)
+function wrapLines(text, open, close) {
+  return text.split('\n').map(line => {
+    const match = line.match(/^(\s*)(.*?)(\s*)$/);
+    return match[2] ? `${match[1]}${open}${match[2]}${close}${match[3]}` : line;
+  }).join('\n');
+}
+
+function describeRun(correction) {
+  return {
+    title: correction.original_article.split('\n')[0] || `Körning ${correction.id}`,
+    createdAt: new Date(correction.created_at).toLocaleString('sv-SE', { timeZone: 'Europe/Stockholm' }),
+    changes: correction.merged_changes || []
+  };
+}
+
+function changeDetails(change) {
+  const details = [];
+  if (change.severity) details.push(['Allvarlighet', change.severity]);
+  if (change.categories && change.categories.length) details.push(['Kategorier', change.categories.join(', ')]);
+  if (change.agent_ids && change.agent_ids.length) {
+    details.push(['Agenter', change.agent_ids
+      .map(agent => agent === change.primary_agent_id ? `${agent} (primär)` : agent)
+      .join(', ')]);
+  }
+  if (change.confidence !== undefined) details.push(['Konfidens', `${Math.round(change.confidence * 100)}%`]);
+  if (change.review) {
+    details.push(['Granskning', REVIEW_LABELS[change.review.status] || change.review.status]);
+  }
+  return details;
+}
+
+function renderHtml(correction) {
+  const { title, createdAt, changes } = describeRun(correction);
+  const hunks = toHunks(computeWordDiff(correction.original_article, correction.corrected_article));
+
+  const diff = hunks.map(hunk => {
+    if (hunk.equal !== undefined) return escapeHtml(hunk.equal);
+    return (hunk.deleted ? `<del>${escapeHtml(hunk.deleted)}</del>` : '') +
+      (hunk.inserted ? `<ins>${escapeHtml(hunk.inserted)}</ins>` : '');
+  }).join('');
+
+  const items = changes.map(change => {
+    const details = changeDetails(change)
+      .map(([label, value]) => `<span class="detail"><b>${escapeHtml(label)}:</b> ${escapeHtml(value)}</span>`)
+      .join(' ');
+    const explanations = (change.explanations || [])
+      .map(explanation => `<li>${escapeHtml(explanation)}</li>`)
+      .join('');
+    const comment = change.review && change.review.comment
+      ? `<p class="comment">${escapeHtml(change.review.comment)}</p>`
+      : '';
+
+    return `    <li>
+      <p><del>${escapeHtml(change.original_text)}</del> → <ins>${escapeHtml(change.suggested_text)}</ins></p>
+      <p>${details}</p>
+      ${explanations ? `<ul>${explanations}</ul>` : ''}${comment}
+    </li>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="sv">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} – Run #${correction.run_number}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; color: #111827; }
+    .meta { color: #6b7280; font-size: 0.875rem; }
+    .diff { white-space: pre-wrap; line-height: 1.6; border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; }
+    del { background: #fee2e2; color: #991b1b; }
+    ins { background: #dcfce7; color: #166534; text-decoration: none; }
+    ol > li { margin-bottom: 1rem; }
+    .detail { font-size: 0.875rem; color: #374151; margin-right: 0.75rem; }
+    .comment { font-style: italic; color: #4b5563; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">${escapeHtml(correction.article_url || '')}<br>Run #${correction.run_number} · ${escapeHtml(createdAt)}</p>
+  <h2>Text med ändringar</h2>
+  <div class="diff">${diff}</div>
+  <h2>Ändringar (${changes.length})</h2>
+  <ol>
+${items}
+  </ol>
+</body>
+</html>
+`;
+}
+
+// The change list, shared by the Markdown and CriticMarkup reports
+function renderMarkdownChanges(changes) {
+  return changes.map((change, index) => {
+    const lines = [
+      `${index + 1}. ${wrapLines(escapeMarkdown(change.original_text), '~~', '~~') || '–'} → ` +
+        (wrapLines(escapeMarkdown(change.suggested_text), '**', '**') || '–')
+    ];
+    changeDetails(change).forEach(([label, value]) => {
+      lines.push(`   - ${label}: ${escapeMarkdown(value)}`);
+    });
+    (change.explanations || []).forEach(explanation => {
+      lines.push(`   - ${escapeMarkdown(explanation)}`);
+    });
+    if (change.review && change.review.comment) {
+      lines.push(`   - Kommentar: ${escapeMarkdown(change.review.comment)}`);
+    }
+    return lines.join('\n');
+  }).join('\n');
+}
+
+function renderMarkdownDocument(correction, diff) {
+  const { title, createdAt, changes } = describeRun(correction);
+
+  return `# ${escapeMarkdown(title)}
+
+${escapeMarkdown(correction.article_url || '')}  
+Run #${correction.run_number} · ${createdAt}
+
+## Text med ändringar
+
+${diff}
+
+## Ändringar (${changes.length})
+
+${renderMarkdownChanges(changes)}
+`;
+}
+
+// Deletions struck through, insertions in bold
+function renderMarkdown(correction) {
+  const hunks = toHunks(computeWordDiff(correction.original_article, correction.corrected_article));
+  const diff = hunks.map(hunk => {
+    if (hunk.equal !== undefined) return escapeMarkdown(hunk.equal);
+    return wrapLines(escapeMarkdown(hunk.deleted), '~~', '~~') +
+      wrapLines(escapeMarkdown(hunk.inserted), '**', '**');
+  }).join('');
+
+  return renderMarkdownDocument(correction, diff);
+}
+
+// CriticMarkup (https://criticmarkup.com): {--deleted--}, {++inserted++}, {~~old~>new~~}
+function renderCritic(correction) {
+  const hunks = toHunks(computeWordDiff(correction.original_article, correction.corrected_article));
+  const diff = hunks.map(hunk => {
+    if (hunk.equal !== undefined) return hunk.equal;
+    if (hunk.deleted && hunk.inserted) return `{~~${hunk.deleted}~>${hunk.inserted}~~}`;
+    return hunk.deleted ? `{--${hunk.deleted}--}` : `{++${hunk.inserted}++}`;
+  }).join('');
+
+  return renderMarkdownDocument(correction, diff);
+}
+
+const RENDERERS = {
+  html: renderHtml,
+  md: renderMarkdown,
+  critic: renderCritic
+};
+
+// Render a correction (as returned by db.getCorrection) in one of EXPORT_FORMATS
+function renderCorrectionExport(correction, format) {
+  return {
+    ...EXPORT_FORMATS[format],
+    body: RENDERERS[format](correction)
+  };
+}
+
+// Dataset export of flattened changes (see db.forEachChangeBatch)
+const CHANGE_EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+const CHANGE_EXPORT_COLUMNS = [
+  'article_url', 'correction_id', 'run_number', 'run_created_at', 'change_key',
+  'section_id', 'char_start', 'char_end', 'original_text', 'suggested_text',
+  'agent_ids', 'primary_agent_id', 'categories', 'severity', 'status', 'confidence',
+  'explanations', 'review_status', 'review_comment', 'reviewer'
+];
+
+// RFC 4180 field: quoted when it contains a delimiter, quote or line break.
+// Lists are joined with "|".
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join('|') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Header line for a change export (empty for JSONL)
+function changeExportHeader(format) {
+  return format === 'csv' ? CHANGE_EXPORT_COLUMNS.join(',') + '\r\n' : '';
+}
+
+// One line per flattened change
+function formatChangeRows(rows, format) {
+  if (format === 'csv') {
+    return rows.map(row => CHANGE_EXPORT_COLUMNS.map(column => csvField(row[column])).join(',') + '\r\n').join('');
+  }
+  return rows.map(row => JSON.stringify(row) + '\n').join('');
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CHANGE_EXPORT_FORMATS,
+  renderCorrectionExport,
+  changeExportHeader,
+  formatChangeRows
+};
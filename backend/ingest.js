@@ -0,0 +1,172 @@
+// Normalization of incoming correction payloads
+//
+// Two schemas are accepted on POST /api/corrections:
+// - flat:       original_article/corrected_article are strings, changes in merged_changes
+// - structured: original_article/corrected_article are objects with title, lead,
+//               body[] and captions[], changes in applied/unapplied patch arrays
+// Structured payloads are flattened to text for the viewers and metrics, while
+// the sections themselves are kept so section boundaries are not lost.
+
+const SECTION_SEPARATOR = '\n\n';
+
+// Detect which schema a payload uses
+function detectSchema(data) {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  return isObject(data.original_article) || isObject(data.corrected_article) ? 'structured' : 'flat';
+}
+
+// Stable key for a merged change: its id, or its position when the agent pipeline sent none
+function getChangeKey(change, index) {
+  return change.id !== undefined && change.id !== null ? String(change.id) : String(index);
+}
+
+// Keys of a run's merged changes (see getChangeKey), unique within the run.
+// Runs saved before ids had to be unique can repeat one; a repeated key gets
+// "#<position>" appended, so reviews and leaderboard rows stay per change.
+function getChangeKeys(mergedChanges) {
+  const used = new Set();
+  return (mergedChanges || []).map((change, index) => {
+    let key = getChangeKey(change, index);
+    while (used.has(key)) {
+      key = `${key}#${index}`;
+    }
+    used.add(key);
+    return key;
+  });
+}
+
+// Normalize a list-like section (body, captions) to an array of strings.
+// Some producers send body as a JSON-encoded array or as one string with blank lines.
+function toParagraphs(value) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.map(item => String(item));
+
+  const text = String(value);
+  if (text.trim().startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parsed.map(item => String(item));
+    } catch (e) {
+      // Not JSON, fall through to paragraph split
+    }
+  }
+
+  return text.split(/\n\s*\n/).filter(paragraph => paragraph.trim().length > 0);
+}
+
+// Normalize a structured article to { title, lead, body[], captions[] }
+function normalizeStructuredArticle(article) {
+  return {
+    title: article.title || '',
+    lead: article.lead || '',
+    body: toParagraphs(article.body),
+    captions: toParagraphs(article.captions)
+  };
+}
+
+// List sections of a normalized article as [{ id, text }] in reading order
+function listSections(article) {
+  const sections = [];
+  if (article.title) sections.push({ id: 'title', text: article.title });
+  if (article.lead) sections.push({ id: 'lead', text: article.lead });
+  article.body.forEach((text, index) => sections.push({ id: `body[${index}]`, text }));
+  article.captions.forEach((text, index) => sections.push({ id: `captions[${index}]`, text }));
+  return sections;
+}
+
+// Flatten a normalized article to the plain text format used by flat payloads
+function flattenArticle(article) {
+  return listSections(article).map(section => section.text).join(SECTION_SEPARATOR);
+}
+
+// Get the text of a section by path (title, lead, body[2], captions[0])
+function getSectionText(article, path) {
+  const match = /^(title|lead|body|captions)(?:\[(\d+)\])?$/.exec(path || '');
+  if (!match) return null;
+
+  const [, field, index] = match;
+  if (index === undefined) {
+    return typeof article[field] === 'string' ? article[field] : null;
+  }
+
+  const value = article[field] && article[field][parseInt(index, 10)];
+  return value !== undefined ? value : null;
+}
+
+// Convert legacy applied patches to merged_changes entries.
+// Identical patches (same path, before and after) from several agents are merged
+// into one change with status multi_agent_agreement.
+function patchesToMergedChanges(applied, originalArticle) {
+  const changes = [];
+  const byKey = {};
+
+  applied.forEach(patch => {
+    const key = JSON.stringify([patch.path, patch.before, patch.after]);
+
+    if (byKey[key]) {
+      const existing = byKey[key];
+      if (patch.agent && !existing.agent_ids.includes(patch.agent)) {
+        existing.agent_ids.push(patch.agent);
+        existing.status = 'multi_agent_agreement';
+      }
+      if (patch.reason) existing.explanations.push(patch.reason);
+      return;
+    }
+
+    const sectionText = getSectionText(originalArticle, patch.path);
+    const charStart = sectionText !== null && patch.before ? sectionText.indexOf(patch.before) : -1;
+
+    const change = {
+      id: `applied-${changes.length}`,
+      section_id: patch.path || null,
+      char_start: charStart >= 0 ? charStart : null,
+      char_end: charStart >= 0 ? charStart + patch.before.length : null,
+      original_text: patch.before || '',
+      suggested_text: patch.after || '',
+      agent_ids: patch.agent ? [patch.agent] : [],
+      primary_agent_id: patch.agent || null,
+      status: 'single_source',
+      explanations: patch.reason ? [patch.reason] : [],
+      categories: []
+    };
+
+    byKey[key] = change;
+    changes.push(change);
+  });
+
+  return changes;
+}
+
+// Convert a validated structured payload to the stored correction shape
+function normalizeStructuredPayload(data) {
+  const original = normalizeStructuredArticle(data.original_article);
+  const corrected = normalizeStructuredArticle(data.corrected_article);
+
+  // article_url may be given explicitly, inside original_article, or as article_id
+  const articleUrl = data.article_url ||
+    data.original_article.url ||
+    (typeof data.article_id === 'string' && data.article_id ? data.article_id : undefined);
+
+  return {
+    ...data,
+    article_url: articleUrl,
+    schema: 'structured',
+    original_article: flattenArticle(original),
+    corrected_article: flattenArticle(corrected),
+    original_structured: original,
+    corrected_structured: corrected,
+    merged_changes: data.merged_changes || patchesToMergedChanges(data.applied || [], original),
+    unapplied: data.unapplied || []
+  };
+}
+
+module.exports = {
+  detectSchema,
+  getChangeKeys,
+  normalizeStructuredArticle,
+  listSections,
+  flattenArticle,
+  getSectionText,
+  patchesToMergedChanges,
+  normalizeStructuredPayload
+};
@@ -1,35 +1,61 @@
 // Metrics calculation for comparing corrections with gold standards
 
+// Tokens come from the shared diff tokenizer, so metrics count the same changes the diffs show
+const { contentTokens, myersDiff } = require('./diff.mjs');
+
 // Calculate Levenshtein distance (edit distance) between two strings
+// The common prefix and suffix are skipped first, so texts that differ in a few
+// places only fill the matrix for the part between their first and last
+// difference. Keeps only two rows of the matrix so memory stays linear.
 function levenshteinDistance(str1, str2) {
+  let start = 0;
+  while (start < str1.length && start < str2.length && str1[start] === str2[start]) {
+    start++;
+  }
+  let end1 = str1.length;
+  let end2 = str2.length;
+  while (end1 > start && end2 > start && str1[end1 - 1] === str2[end2 - 1]) {
+    end1--;
+    end2--;
+  }
+  str1 = str1.slice(start, end1);
+  str2 = str2.slice(start, end2);
+
   const len1 = str1.length;
   const len2 = str2.length;
-  const matrix = [];
 
-  // Initialize matrix
-  for (let i = 0; i <= len1; i++) {
-    matrix[i] = [i];
-  }
+  let previous = new Uint32Array(len2 + 1);
+  let current = new Uint32Array(len2 + 1);
+
+  // Initialize first row
   for (let j = 0; j <= len2; j++) {
-    matrix[0][j] = j;
+    previous[j] = j;
   }
 
-  // Fill matrix
+  // Fill matrix row by row
   for (let i = 1; i <= len1; i++) {
+    current[0] = i;
     for (let j = 1; j <= len2; j++) {
       if (str1[i - 1] === str2[j - 1]) {
-        matrix[i][j] = matrix[i - 1][j - 1];
+        current[j] = previous[j - 1];
       } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1, // substitution
-          matrix[i][j - 1] + 1,     // insertion
-          matrix[i - 1][j] + 1      // deletion
+        current[j] = Math.min(
+          previous[j - 1] + 1, // substitution
+          current[j - 1] + 1,  // insertion
+          previous[j] + 1      // deletion
         );
       }
     }
+    [previous, current] = [current, previous];
   }
 
-  return matrix[len1][len2];
+  return previous[len2];
+}
+
+// Similarity ratio (0-1) of two strings from their edit distance
+function similarityFromDistance(distance, str1, str2) {
+  const maxLen = Math.max(str1.length, str2.length);
+  return maxLen === 0 ? 1.0 : 1 - (distance / maxLen);
 }
 
 // Calculate similarity ratio (0-1) based on edit distance
@@ -37,20 +63,7 @@ function similarityRatio(str1, str2) {
   if (!str1 && !str2) return 1.0;
   if (!str1 || !str2) return 0.0;
 
-  const distance = levenshteinDistance(str1, str2);
-  const maxLen = Math.max(str1.length, str2.length);
-
-  if (maxLen === 0) return 1.0;
-
-  return 1 - (distance / maxLen);
-}
-
-// Tokenize text into words
-function tokenize(text) {
-  if (!text) return [];
-  return text.toLowerCase()
-    .split(/\s+/)
-    .filter(word => word.length > 0);
+  return similarityFromDistance(levenshteinDistance(str1, str2), str1, str2);
 }
 
 // Calculate Precision, Recall, F1 score
@@ -60,9 +73,9 @@ function calculateF1Score(original, corrected, gold) {
     return { precision: 0, recall: 0, f1: 0 };
   }
 
-  const originalTokens = new Set(tokenize(original));
-  const correctedTokens = new Set(tokenize(corrected || ''));
-  const goldTokens = new Set(tokenize(gold));
+  const originalTokens = new Set(contentTokens(original));
+  const correctedTokens = new Set(contentTokens(corrected || ''));
+  const goldTokens = new Set(contentTokens(gold));
 
   // Changes made by the correction
   const correctedChanges = new Set();
@@ -128,17 +141,18 @@ function calculateF1Score(original, corrected, gold) {
 function calculateRunMetrics(run, goldStandard, originalArticle) {
   if (!goldStandard) return null;
 
-  const correctedText = run.corrected_article;
+  const correctedText = run.corrected_article || '';
 
-  // Calculate similarity
-  const similarity = similarityRatio(correctedText, goldStandard);
+  // The edit distance is the expensive part: compute it once, similarity follows from it
+  const editDistance = levenshteinDistance(correctedText, goldStandard);
+  const similarity = similarityFromDistance(editDistance, correctedText, goldStandard);
 
   // Calculate F1 score
   const f1Metrics = calculateF1Score(originalArticle, correctedText, goldStandard);
 
   return {
     similarity: Math.round(similarity * 100) / 100,
-    edit_distance: levenshteinDistance(correctedText, goldStandard),
+    edit_distance: editDistance,
     ...f1Metrics,
     // Keep these for backwards compatibility with frontend
     overall_similarity: Math.round(similarity * 100) / 100,
@@ -146,9 +160,37 @@ function calculateRunMetrics(run, goldStandard, originalArticle) {
   };
 }
 
-// Calculate similarity between two runs
+// Word-level similarity ratio (0-1): one minus the words that differ per word
+// of the longer text, where a replaced word counts once. A word diff is far
+// cheaper than the character edit distance on whole articles.
+function wordSimilarity(text1, text2) {
+  const words1 = contentTokens(text1 || '');
+  const words2 = contentTokens(text2 || '');
+  const maxLen = Math.max(words1.length, words2.length);
+  if (maxLen === 0) return 1.0;
+
+  let distance = 0;
+  let deleted = 0;
+  let inserted = 0;
+  for (const op of myersDiff(words1, words2)) {
+    if (op.type === 'equal') {
+      distance += Math.max(deleted, inserted);
+      deleted = 0;
+      inserted = 0;
+    } else if (op.type === 'delete') {
+      deleted++;
+    } else {
+      inserted++;
+    }
+  }
+  distance += Math.max(deleted, inserted);
+
+  return 1 - (distance / maxLen);
+}
+
+// Calculate similarity between two runs, word by word (checked on every save)
 function calculateRunSimilarity(run1, run2) {
-  const similarity = similarityRatio(
+  const similarity = wordSimilarity(
     run1.corrected_article,
     run2.corrected_article
   );
@@ -156,10 +198,26 @@ function calculateRunSimilarity(run1, run2) {
   return Math.round(similarity * 100) / 100;
 }
 
+// Check whether a single suggested change agrees with the gold standard.
+// A change matches when its suggested text occurs in the gold text and its
+// original text does not (unless the suggestion only extends the original).
+function isGoldMatch(change, goldText) {
+  if (!goldText || !change.suggested_text) return false;
+
+  const suggested = change.suggested_text;
+  const original = change.original_text || '';
+
+  if (!goldText.includes(suggested)) return false;
+  if (!original || suggested.includes(original)) return true;
+
+  return !goldText.includes(original);
+}
+
 module.exports = {
   levenshteinDistance,
   similarityRatio,
   calculateF1Score,
   calculateRunMetrics,
-  calculateRunSimilarity
+  calculateRunSimilarity,
+  isGoldMatch
 };
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// Schema migration CLI
+//
+//   node migrate.js status        List migrations and whether they are applied
+//   node migrate.js up [version]  Apply pending migrations (up to version if given)
+//
+// Uses the same STORAGE_BACKEND / DATABASE_URL settings as the server.
+
+const db = require('./database');
+
+const USAGE = 'Usage: node migrate.js <status|up> [version]';
+
+async function status() {
+  const migrations = await db.getMigrationStatus();
+
+  if (migrations.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  migrations.forEach(migration => {
+    const version = String(migration.version).padStart(3, '0');
+    const state = migration.applied ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`${version}  ${migration.name.padEnd(30)} ${state}`);
+  });
+
+  const pending = migrations.filter(migration => !migration.applied).length;
+  console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+}
+
+async function up(target) {
+  let targetVersion;
+  if (target !== undefined) {
+    targetVersion = parseInt(target, 10);
+    if (isNaN(targetVersion)) {
+      throw new Error(`Invalid version "${target}"`);
+    }
+  }
+
+  const applied = await db.runMigrations(targetVersion);
+
+  if (applied.length === 0) {
+    console.log('Database is up to date');
+    return;
+  }
+
+  applied.forEach(migration => {
+    console.log(`Applied ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+  });
+}
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+  const commands = { status, up };
+
+  if (!commands[command]) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const holder = db.getDatabaseHolder();
+  if (holder && command === 'up') {
+    throw new Error(
+      `The server (pid ${holder}) has the database open and would overwrite the migrated schema. ` +
+      'Stop it first, then run the migrations.'
+    );
+  }
+
+  await db.initDatabase({ migrate: false });
+  await commands[command](arg);
+}
+
+main().then(() => {
+  process.exit(0);
+}).catch(err => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+// Baseline schema: everything that existed before migrations were introduced.
+// Written with IF NOT EXISTS / addColumn so databases created by the old
+// CREATE TABLE IF NOT EXISTS startup code can adopt it without changes.
+
+module.exports = {
+  async up({ run, addColumn, types }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS articles (
+        url TEXT PRIMARY KEY,
+        title TEXT,
+        original_article TEXT NOT NULL,
+        first_seen ${types.timestamp},
+        last_updated ${types.timestamp}
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS corrections (
+        id ${types.id},
+        article_url TEXT NOT NULL,
+        run_number INTEGER,
+        original_article TEXT NOT NULL,
+        corrected_article TEXT NOT NULL,
+        merged_changes TEXT,
+        created_at ${types.timestamp},
+        FOREIGN KEY (article_url) REFERENCES articles(url)
+      )
+    `);
+
+    // Structured payload columns (added with ensureColumn before migrations existed)
+    await addColumn('corrections', 'schema', "TEXT DEFAULT 'flat'");
+    await addColumn('corrections', 'original_structured', 'TEXT');
+    await addColumn('corrections', 'corrected_structured', 'TEXT');
+    await addColumn('corrections', 'unapplied', 'TEXT');
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS gold_standards (
+        article_url TEXT PRIMARY KEY,
+        gold_text TEXT NOT NULL,
+        author TEXT,
+        notes TEXT,
+        created_at ${types.timestamp},
+        updated_at ${types.timestamp},
+        FOREIGN KEY (article_url) REFERENCES articles(url)
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS run_metrics (
+        correction_id INTEGER PRIMARY KEY,
+        article_url TEXT NOT NULL,
+        metrics TEXT NOT NULL,
+        computed_at ${types.timestamp},
+        FOREIGN KEY (correction_id) REFERENCES corrections(id)
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS change_reviews (
+        correction_id INTEGER NOT NULL,
+        change_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        comment TEXT,
+        reviewer TEXT,
+        updated_at ${types.timestamp},
+        PRIMARY KEY (correction_id, change_id),
+        FOREIGN KEY (correction_id) REFERENCES corrections(id)
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS change_review_history (
+        id ${types.id},
+        correction_id INTEGER NOT NULL,
+        change_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        comment TEXT,
+        reviewer TEXT,
+        created_at ${types.timestamp},
+        FOREIGN KEY (correction_id) REFERENCES corrections(id)
+      )
+    `);
+
+    await run(`CREATE INDEX IF NOT EXISTS idx_corrections_url ON corrections(article_url)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_review_history_change ON change_review_history(correction_id, change_id)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_run_metrics_url ON run_metrics(article_url)`);
+  }
+};
@@ -0,0 +1,51 @@
+// Full-text search index over articles, runs and merged changes (see search.js).
+// Existing corrections are indexed as part of the migration.
+
+const { buildArticleEntry, buildRunEntries } = require('../search');
+
+module.exports = {
+  async up({ run, query, dialect }) {
+    if (dialect === 'postgres') {
+      await run(`
+        CREATE TABLE search_index (
+          correction_id INTEGER,
+          article_url TEXT NOT NULL,
+          kind TEXT NOT NULL,
+          change_key TEXT,
+          content TEXT NOT NULL,
+          document tsvector GENERATED ALWAYS AS (to_tsvector('simple', content)) STORED
+        )
+      `);
+      await run(`CREATE INDEX idx_search_document ON search_index USING GIN (document)`);
+      await run(`CREATE INDEX idx_search_correction ON search_index(correction_id)`);
+      await run(`CREATE INDEX idx_search_article ON search_index(article_url)`);
+    } else {
+      // Only content is tokenized; the other columns are stored for lookups
+      await run(`
+        CREATE VIRTUAL TABLE search_index USING fts4(
+          correction_id, article_url, kind, change_key, content,
+          notindexed=correction_id, notindexed=article_url, notindexed=kind, notindexed=change_key,
+          tokenize=unicode61
+        )
+      `);
+    }
+
+    const insert = entry => run(`
+      INSERT INTO search_index (correction_id, article_url, kind, change_key, content)
+      VALUES (?, ?, ?, ?, ?)
+    `, [entry.correction_id, entry.article_url, entry.kind, entry.change_key, entry.content]);
+
+    const articles = await query(`SELECT url, original_article FROM articles`);
+    for (const [url, originalArticle] of articles) {
+      await insert(buildArticleEntry(url, originalArticle));
+    }
+
+    const corrections = await query(`SELECT id, article_url, corrected_article, merged_changes FROM corrections`);
+    for (const [id, articleUrl, correctedArticle, mergedChanges] of corrections) {
+      const entries = buildRunEntries(id, articleUrl, correctedArticle, mergedChanges ? JSON.parse(mergedChanges) : []);
+      for (const entry of entries) {
+        await insert(entry);
+      }
+    }
+  }
+};
@@ -0,0 +1,20 @@
+// Copy the headline metrics out of the run_metrics JSON into columns so that
+// GET /api/articles can sort by them in SQL.
+
+module.exports = {
+  async up({ run, query, addColumn }) {
+    await addColumn('run_metrics', 'f1', 'REAL');
+    await addColumn('run_metrics', 'precision', 'REAL');
+    await addColumn('run_metrics', 'recall', 'REAL');
+    await addColumn('run_metrics', 'similarity', 'REAL');
+
+    const rows = await query(`SELECT correction_id, metrics FROM run_metrics`);
+    for (const [correctionId, metricsJson] of rows) {
+      const metrics = JSON.parse(metricsJson);
+      await run(`
+        UPDATE run_metrics SET f1 = ?, precision = ?, recall = ?, similarity = ?
+        WHERE correction_id = ?
+      `, [metrics.f1, metrics.precision, metrics.recall, metrics.similarity, correctionId]);
+    }
+  }
+};
@@ -0,0 +1,19 @@
+// Optional run metadata (pipeline version, model, agents, tags, ...) stored as
+// JSON on the run, with tags also in run_tags so runs can be filtered by tag.
+
+module.exports = {
+  async up({ run, addColumn }) {
+    await addColumn('corrections', 'run_metadata', 'TEXT');
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS run_tags (
+        correction_id INTEGER NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (correction_id, tag),
+        FOREIGN KEY (correction_id) REFERENCES corrections(id)
+      )
+    `);
+
+    await run(`CREATE INDEX IF NOT EXISTS idx_run_tags_tag ON run_tags(tag)`);
+  }
+};
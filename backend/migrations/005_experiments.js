@@ -0,0 +1,18 @@
+// Experiments group runs across articles (e.g. one pipeline configuration run
+// over an article set) so two experiments can be compared article by article.
+
+module.exports = {
+  async up({ run, addColumn, types }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS experiments (
+        id ${types.id},
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        created_at ${types.timestamp}
+      )
+    `);
+
+    await addColumn('corrections', 'experiment_id', 'INTEGER');
+    await run(`CREATE INDEX IF NOT EXISTS idx_corrections_experiment ON corrections(experiment_id)`);
+  }
+};
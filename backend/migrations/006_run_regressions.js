@@ -0,0 +1,26 @@
+// Regression flags set when a new run scores worse than the article's previous
+// run. One row per metric that dropped beyond the threshold.
+
+module.exports = {
+  async up({ run, types }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS run_regressions (
+        correction_id INTEGER NOT NULL,
+        article_url TEXT NOT NULL,
+        previous_run_id INTEGER NOT NULL,
+        basis TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        previous_value REAL,
+        current_value REAL NOT NULL,
+        drop_amount REAL NOT NULL,
+        threshold REAL NOT NULL,
+        created_at ${types.timestamp},
+        PRIMARY KEY (correction_id, metric),
+        FOREIGN KEY (correction_id) REFERENCES corrections(id)
+      )
+    `);
+
+    await run(`CREATE INDEX IF NOT EXISTS idx_run_regressions_article ON run_regressions(article_url)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_run_regressions_created ON run_regressions(created_at)`);
+  }
+};
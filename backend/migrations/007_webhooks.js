@@ -0,0 +1,38 @@
+// Outgoing webhook subscriptions and a delivery log. Pending deliveries keep
+// their next attempt time so retries survive a restart.
+
+module.exports = {
+  async up({ run, types }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id ${types.id},
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        description TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at ${types.timestamp}
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id ${types.id},
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        created_at ${types.timestamp},
+        last_attempt_at TEXT,
+        next_attempt_at TEXT,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+      )
+    `);
+
+    await run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status)`);
+  }
+};
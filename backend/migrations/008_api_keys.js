@@ -0,0 +1,18 @@
+// API keys for clients and users. Only a SHA-256 hash of each key is stored;
+// revoked keys are kept so their names still resolve in logs.
+
+module.exports = {
+  async up({ run, types }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id ${types.id},
+        name TEXT NOT NULL,
+        role TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        created_at ${types.timestamp},
+        revoked_at TEXT
+      )
+    `);
+  }
+};
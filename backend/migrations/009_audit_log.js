@@ -0,0 +1,51 @@
+// Append-only audit log of mutations: who did what to which target, with
+// before/after snapshots as JSON. Triggers reject updates and deletes.
+
+module.exports = {
+  async up({ run, dialect, types }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id ${types.id},
+        action TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        actor_key_id INTEGER,
+        target_type TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        correction_id INTEGER,
+        article_url TEXT,
+        before_state TEXT,
+        after_state TEXT,
+        created_at ${types.timestamp}
+      )
+    `);
+
+    await run(`CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_audit_log_article ON audit_log(article_url)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_audit_log_correction ON audit_log(correction_id)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id)`);
+
+    if (dialect === 'postgres') {
+      await run(`
+        CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'audit_log is append-only';
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await run(`
+        CREATE TRIGGER audit_log_append_only
+        BEFORE UPDATE OR DELETE ON audit_log
+        FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+      `);
+    } else {
+      await run(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+      `);
+      await run(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+      `);
+    }
+  }
+};
@@ -0,0 +1,9 @@
+// Deleted runs are kept in a trash (deleted_at/deleted_by set) until purged.
+
+module.exports = {
+  async up({ run, addColumn }) {
+    await addColumn('corrections', 'deleted_at', 'TEXT');
+    await addColumn('corrections', 'deleted_by', 'TEXT');
+    await run(`CREATE INDEX IF NOT EXISTS idx_corrections_deleted ON corrections(deleted_at)`);
+  }
+};
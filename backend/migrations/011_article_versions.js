@@ -0,0 +1,53 @@
+// Every distinct original an article has been posted with is kept as a version,
+// and each run points at the version it was made from. Existing runs are
+// backfilled in run order, starting a new version whenever the original changed.
+
+module.exports = {
+  async up({ run, query, addColumn, types }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS article_versions (
+        id ${types.id},
+        article_url TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        original_article TEXT NOT NULL,
+        created_at ${types.timestamp},
+        UNIQUE (article_url, version),
+        FOREIGN KEY (article_url) REFERENCES articles(url)
+      )
+    `);
+
+    await addColumn('corrections', 'article_version_id', 'INTEGER');
+    await run(`CREATE INDEX IF NOT EXISTS idx_corrections_article_version ON corrections(article_version_id)`);
+
+    const addVersion = async (url, version, originalArticle, createdAt) => {
+      const inserted = await query(`
+        INSERT INTO article_versions (article_url, version, original_article, created_at)
+        VALUES (?, ?, ?, ?)
+        RETURNING id
+      `, [url, version, originalArticle, createdAt]);
+      return inserted[0][0];
+    };
+
+    const articles = await query(`SELECT url, original_article, first_seen FROM articles ORDER BY url`);
+    for (const [url, articleOriginal, firstSeen] of articles) {
+      const runs = await query(`
+        SELECT id, original_article, created_at FROM corrections
+        WHERE article_url = ?
+        ORDER BY run_number
+      `, [url]);
+
+      let latest = null;
+      for (const [id, originalArticle, createdAt] of runs) {
+        if (!latest || latest.text !== originalArticle) {
+          const version = latest ? latest.version + 1 : 1;
+          latest = { id: await addVersion(url, version, originalArticle, createdAt), version, text: originalArticle };
+        }
+        await run(`UPDATE corrections SET article_version_id = ? WHERE id = ?`, [latest.id, id]);
+      }
+
+      if (!latest) {
+        await addVersion(url, 1, articleOriginal, firstSeen);
+      }
+    }
+  }
+};
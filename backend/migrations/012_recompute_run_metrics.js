@@ -0,0 +1,8 @@
+// F1 now counts tokens from the shared diff tokenizer (punctuation marks are
+// tokens of their own), so cached run metrics are dropped (013 computes them again).
+
+module.exports = {
+  async up({ run }) {
+    await run(`DELETE FROM run_metrics`);
+  }
+};
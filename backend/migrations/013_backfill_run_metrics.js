@@ -0,0 +1,26 @@
+// Run metrics are now computed when a run or gold standard is saved instead of
+// on first read, so every run of an article with a gold standard gets its
+// metrics here (reads no longer fill in missing ones).
+
+const { calculateRunMetrics } = require('../metrics');
+
+module.exports = {
+  async up({ run, query }) {
+    const now = new Date().toISOString().replace('T', ' ').substring(0, 19);
+    const rows = await query(`
+      SELECT c.id, c.article_url, c.original_article, c.corrected_article, g.gold_text
+      FROM corrections c
+      JOIN gold_standards g ON g.article_url = c.article_url
+      LEFT JOIN run_metrics m ON m.correction_id = c.id
+      WHERE m.correction_id IS NULL
+    `);
+
+    for (const [id, articleUrl, originalArticle, correctedArticle, goldText] of rows) {
+      const metrics = calculateRunMetrics({ corrected_article: correctedArticle }, goldText, originalArticle);
+      await run(`
+        INSERT INTO run_metrics (correction_id, article_url, metrics, computed_at, f1, precision, recall, similarity)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [id, articleUrl, JSON.stringify(metrics), now, metrics.f1, metrics.precision, metrics.recall, metrics.similarity]);
+    }
+  }
+};
@@ -0,0 +1,73 @@
+// Merged changes are also kept as rows (run_changes, with their agents and
+// categories in change_agents and change_categories) so the agent leaderboard
+// can be aggregated in SQL. gold_match says whether a change agrees with the
+// article's gold standard (NULL without one). Existing runs are backfilled.
+
+const { getChangeKeys } = require('../ingest');
+const { isGoldMatch } = require('../metrics');
+
+module.exports = {
+  async up({ run, query }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS run_changes (
+        correction_id INTEGER NOT NULL,
+        change_key TEXT NOT NULL,
+        severity TEXT,
+        gold_match INTEGER,
+        FOREIGN KEY (correction_id) REFERENCES corrections(id)
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS change_agents (
+        correction_id INTEGER NOT NULL,
+        change_key TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        is_primary INTEGER NOT NULL,
+        FOREIGN KEY (correction_id) REFERENCES corrections(id)
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS change_categories (
+        correction_id INTEGER NOT NULL,
+        change_key TEXT NOT NULL,
+        category TEXT NOT NULL,
+        FOREIGN KEY (correction_id) REFERENCES corrections(id)
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_run_changes_change ON run_changes(correction_id, change_key)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_change_agents_change ON change_agents(correction_id, change_key)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_change_categories_change ON change_categories(correction_id, change_key)`);
+
+    const rows = await query(`
+      SELECT c.id, c.merged_changes, g.gold_text
+      FROM corrections c
+      LEFT JOIN gold_standards g ON g.article_url = c.article_url
+    `);
+
+    for (const [correctionId, mergedChangesJson, goldText] of rows) {
+      const changes = mergedChangesJson ? JSON.parse(mergedChangesJson) : [];
+      const changeKeys = getChangeKeys(changes);
+      for (const [index, change] of changes.entries()) {
+        const changeKey = changeKeys[index];
+        const goldMatch = goldText !== null ? (isGoldMatch(change, goldText) ? 1 : 0) : null;
+        await run(`
+          INSERT INTO run_changes (correction_id, change_key, severity, gold_match) VALUES (?, ?, ?, ?)
+        `, [correctionId, changeKey, change.severity || null, goldMatch]);
+
+        const agentIds = change.agent_ids && change.agent_ids.length > 0
+          ? change.agent_ids
+          : (change.primary_agent_id ? [change.primary_agent_id] : []);
+        for (const agentId of new Set(agentIds)) {
+          await run(`
+            INSERT INTO change_agents (correction_id, change_key, agent_id, is_primary) VALUES (?, ?, ?, ?)
+          `, [correctionId, changeKey, agentId, change.primary_agent_id === agentId ? 1 : 0]);
+        }
+        for (const category of new Set(change.categories || [])) {
+          await run(`
+            INSERT INTO change_categories (correction_id, change_key, category) VALUES (?, ?, ?)
+          `, [correctionId, changeKey, category]);
+        }
+      }
+    }
+  }
+};
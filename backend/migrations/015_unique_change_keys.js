@@ -0,0 +1,76 @@
+// Change keys are unique within a run (ingest.getChangeKeys). Runs saved while
+// merged_changes ids could repeat got several run_changes/change_agents rows per
+// key, which the leaderboard join multiplied; their rows and search entries are
+// rebuilt with unique keys, and unique indexes keep one row per change.
+
+const { getChangeKeys } = require('../ingest');
+const { isGoldMatch } = require('../metrics');
+const search = require('../search');
+
+module.exports = {
+  async up({ run, query }) {
+    const duplicated = await query(`
+      SELECT DISTINCT correction_id FROM run_changes
+      GROUP BY correction_id, change_key
+      HAVING COUNT(*) > 1
+    `);
+
+    for (const [correctionId] of duplicated) {
+      const rows = await query(`
+        SELECT c.article_url, c.corrected_article, c.merged_changes, c.deleted_at, g.gold_text
+        FROM corrections c
+        LEFT JOIN gold_standards g ON g.article_url = c.article_url
+        WHERE c.id = ?
+      `, [correctionId]);
+      const [articleUrl, correctedArticle, mergedChangesJson, deletedAt, goldText] = rows[0];
+      const changes = mergedChangesJson ? JSON.parse(mergedChangesJson) : [];
+      const changeKeys = getChangeKeys(changes);
+
+      await run('DELETE FROM run_changes WHERE correction_id = ?', [correctionId]);
+      await run('DELETE FROM change_agents WHERE correction_id = ?', [correctionId]);
+      await run('DELETE FROM change_categories WHERE correction_id = ?', [correctionId]);
+
+      for (const [index, change] of changes.entries()) {
+        const changeKey = changeKeys[index];
+        const goldMatch = goldText !== null ? (isGoldMatch(change, goldText) ? 1 : 0) : null;
+        await run(`
+          INSERT INTO run_changes (correction_id, change_key, severity, gold_match) VALUES (?, ?, ?, ?)
+        `, [correctionId, changeKey, change.severity || null, goldMatch]);
+
+        const agentIds = change.agent_ids && change.agent_ids.length > 0
+          ? change.agent_ids
+          : (change.primary_agent_id ? [change.primary_agent_id] : []);
+        for (const agentId of new Set(agentIds)) {
+          await run(`
+            INSERT INTO change_agents (correction_id, change_key, agent_id, is_primary) VALUES (?, ?, ?, ?)
+          `, [correctionId, changeKey, agentId, change.primary_agent_id === agentId ? 1 : 0]);
+        }
+        for (const category of new Set(change.categories || [])) {
+          await run(`
+            INSERT INTO change_categories (correction_id, change_key, category) VALUES (?, ?, ?)
+          `, [correctionId, changeKey, category]);
+        }
+      }
+
+      // Runs in the trash have no search entries
+      if (!deletedAt) {
+        await run(`DELETE FROM search_index WHERE correction_id = ? AND kind = 'change'`, [correctionId]);
+        const entries = search.buildRunEntries(correctionId, articleUrl, correctedArticle, changes)
+          .filter(entry => entry.kind === 'change');
+        for (const entry of entries) {
+          await run(`
+            INSERT INTO search_index (correction_id, article_url, kind, change_key, content)
+            VALUES (?, ?, ?, ?, ?)
+          `, [entry.correction_id, entry.article_url, entry.kind, entry.change_key, entry.content]);
+        }
+      }
+    }
+
+    await run(`DROP INDEX IF EXISTS idx_run_changes_change`);
+    await run(`DROP INDEX IF EXISTS idx_change_agents_change`);
+    await run(`DROP INDEX IF EXISTS idx_change_categories_change`);
+    await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_run_changes_key ON run_changes(correction_id, change_key)`);
+    await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_change_agents_key ON change_agents(correction_id, change_key, agent_id)`);
+    await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_change_categories_key ON change_categories(correction_id, change_key, category)`);
+  }
+};
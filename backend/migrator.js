@@ -0,0 +1,102 @@
+// Schema migrations
+//
+// Migrations live in ./migrations as NNN_description.js and export
+// `async up(ctx)`. They are applied in version order, each inside its own
+// transaction, and recorded in the schema_migrations table.
+//
+// ctx provides:
+//   run(sql, params), query(sql, params) - executor bound to the transaction
+//   addColumn(table, column, definition) - ALTER TABLE ADD COLUMN unless it exists
+//   types.id, types.timestamp           - dialect-specific column definitions
+//   dialect                             - 'sqlite' or 'postgres'
+
+const fs = require('fs');
+const path = require('path');
+
+const migrationsDir = path.join(__dirname, 'migrations');
+
+// Load migration files sorted by version
+function loadMigrations() {
+  return fs.readdirSync(migrationsDir)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .map(file => {
+      const [, version, name] = /^(\d+)_([\w-]+)\.js$/.exec(file);
+      return {
+        version: parseInt(version, 10),
+        name,
+        ...require(path.join(migrationsDir, file))
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(store) {
+  await store.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at ${store.types.timestamp}
+    )
+  `);
+}
+
+// Get applied versions as { version: applied_at }
+async function getAppliedVersions(store) {
+  const rows = await store.query(`SELECT version, applied_at FROM schema_migrations`);
+  const applied = {};
+  rows.forEach(row => { applied[row[0]] = row[1] + 'Z'; });
+  return applied;
+}
+
+// List every known migration with its status
+async function getStatus(store) {
+  await ensureMigrationsTable(store);
+  const applied = await getAppliedVersions(store);
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: Boolean(applied[migration.version]),
+    applied_at: applied[migration.version] || null
+  }));
+}
+
+// Apply pending migrations up to targetVersion (all when omitted).
+// Returns the migrations that were applied.
+async function migrate(store, targetVersion = Infinity) {
+  await ensureMigrationsTable(store);
+  const applied = await getAppliedVersions(store);
+
+  const pending = loadMigrations().filter(migration =>
+    !applied[migration.version] && migration.version <= targetVersion
+  );
+
+  for (const migration of pending) {
+    await store.transaction(async (tx) => {
+      await migration.up({
+        ...tx,
+        dialect: store.dialect,
+        types: store.types,
+        addColumn: async (table, column, definition) => {
+          if (!(await store.columnExists(table, column, tx))) {
+            await tx.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+          }
+        }
+      });
+
+      await tx.run(`
+        INSERT INTO schema_migrations (version, name)
+        VALUES (?, ?)
+      `, [migration.version, migration.name]);
+    });
+  }
+
+  await store.persist();
+
+  return pending.map(migration => ({ version: migration.version, name: migration.name }));
+}
+
+module.exports = {
+  getStatus,
+  migrate
+};
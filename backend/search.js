@@ -0,0 +1,130 @@
+// Full-text search helpers
+//
+// Articles, runs and individual merged changes are indexed as rows in
+// search_index (kind = 'article' | 'run' | 'change'). SQLite uses an FTS4 table
+// (the sql.js build ships FTS3/4 but not FTS5) and PostgreSQL a tsvector column,
+// both tokenized without stemming so the two backends match the same words.
+//
+// User queries are reduced to words before they reach either engine, so no
+// query syntax from the search box is passed through.
+
+const { getChangeKeys } = require('./ingest');
+
+// Markers wrapped around matches in snippets before they are split into segments
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+const SEARCH_KINDS = ['article', 'run', 'change'];
+
+// Index entry for an article (title and latest original text)
+function buildArticleEntry(articleUrl, originalArticle) {
+  return {
+    correction_id: null,
+    article_url: articleUrl,
+    kind: 'article',
+    change_key: null,
+    content: originalArticle
+  };
+}
+
+// Index entries for a run: its corrected text and one entry per merged change
+function buildRunEntries(correctionId, articleUrl, correctedArticle, mergedChanges) {
+  const entries = [{
+    correction_id: correctionId,
+    article_url: articleUrl,
+    kind: 'run',
+    change_key: null,
+    content: correctedArticle
+  }];
+
+  const changeKeys = getChangeKeys(mergedChanges);
+  (mergedChanges || []).forEach((change, index) => {
+    const content = [
+      change.original_text,
+      change.suggested_text,
+      ...(change.explanations || [])
+    ].filter(Boolean).join('\n');
+
+    if (content) {
+      entries.push({
+        correction_id: correctionId,
+        article_url: articleUrl,
+        kind: 'change',
+        change_key: changeKeys[index],
+        content
+      });
+    }
+  });
+
+  return entries;
+}
+
+// Split a search box query into terms. "Quoted text" becomes an exact phrase,
+// other words match as prefixes (militär matches militära).
+function parseSearchQuery(q) {
+  const terms = [];
+  const wordsOf = text => text.match(/[\p{L}\p{N}]+/gu) || [];
+  const pattern = /"([^"]*)"|([^\s"]+)/g;
+  let match;
+
+  while ((match = pattern.exec(q || '')) !== null) {
+    if (match[1] !== undefined) {
+      const words = wordsOf(match[1]);
+      if (words.length) terms.push({ words, phrase: true });
+    } else {
+      wordsOf(match[2]).forEach(word => terms.push({ words: [word], phrase: false }));
+    }
+  }
+
+  return terms;
+}
+
+// FTS4 MATCH expression; all terms must match
+function toFtsQuery(terms) {
+  return terms
+    .map(term => term.phrase ? `"${term.words.join(' ')}"` : `"${term.words[0]}*"`)
+    .join(' ');
+}
+
+// PostgreSQL tsquery expression; all terms must match
+function toTsQuery(terms) {
+  return terms
+    .map(term => term.phrase
+      ? `(${term.words.join(' <-> ')})`
+      : `${term.words[0]}:*`)
+    .join(' & ');
+}
+
+// Split a highlighted snippet into [{ text, match }] segments
+function splitSnippet(snippet) {
+  const segments = [];
+  const pattern = new RegExp(`${HIGHLIGHT_START}([^${HIGHLIGHT_END}]*)${HIGHLIGHT_END}`, 'g');
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(snippet || '')) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ text: snippet.slice(lastIndex, match.index), match: false });
+    }
+    segments.push({ text: match[1], match: true });
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (snippet && lastIndex < snippet.length) {
+    segments.push({ text: snippet.slice(lastIndex), match: false });
+  }
+
+  return segments;
+}
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  SEARCH_KINDS,
+  buildArticleEntry,
+  buildRunEntries,
+  parseSearchQuery,
+  toFtsQuery,
+  toTsQuery,
+  splitSnippet
+};
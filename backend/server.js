@@ -1,21 +1,40 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const db = require('./database');
+const ingest = require('./ingest');
+const validation = require('./validation');
+const webhooks = require('./webhooks');
+const auth = require('./auth');
+const exporter = require('./export');
+const diff = require('./diff.mjs');
+const { SEARCH_KINDS } = require('./search');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Middleware
-app.use(cors());
+// Middleware. CORS_ORIGINS (comma-separated) limits which sites may call the API.
+app.use(cors(process.env.CORS_ORIGINS ? { origin: process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) } : undefined));
 app.use(bodyParser.json({ limit: '10mb' }));
 
 // Initialize database before starting server
 let serverReady = false;
 
-db.initDatabase().then(() => {
+db.initDatabase().then(async () => {
+  db.lockDatabase();
   serverReady = true;
   console.log('Database initialized');
+
+  const pending = await webhooks.resumePendingDeliveries();
+  if (pending) {
+    console.log(`Resumed ${pending} pending webhook deliveries`);
+  }
+
+  const articles = await db.queueMissingRunMetrics();
+  if (articles) {
+    console.log(`Recomputing run metrics of ${articles} articles`);
+  }
 }).catch(err => {
   console.error('Failed to initialize database:', err);
   process.exit(1);
@@ -26,49 +45,94 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-// POST new correction
-app.post('/api/corrections', (req, res) => {
+// Every /api route needs an API key (see auth.js); routes add authorize() for writes
+app.use('/api', (req, res, next) => {
   if (!serverReady) {
     return res.status(503).json({ error: 'Server is initializing' });
   }
+  auth.authenticate(req, res, next);
+});
 
-  try {
-    const data = req.body;
+// Validate and normalize a correction payload.
+// Returns { data, schemaVersion } or { errors, schemaVersion } when validation fails.
+// suffix keeps generated article URLs unique within a batch.
+function prepareCorrection(data, suffix = '') {
+  // Validate against the declared schema version (explicit schema_version or detected shape)
+  const schemaVersion = validation.resolveSchemaVersion(data, ingest.detectSchema(data));
+  const errors = validation.validatePayload(data, schemaVersion);
 
-    // Validate required fields
-    // article_url is optional - if not provided, generate one
-    if (data.article_url && typeof data.article_url !== 'string') {
-      return res.status(400).json({ error: 'article_url must be a string if provided' });
-    }
+  if (errors.length > 0) {
+    return { errors, schemaVersion };
+  }
 
-    // Generate article_url if not provided
-    if (!data.article_url) {
-      data.article_url = `generated-${Date.now()}`;
-    }
+  // Structured payloads (title/lead/body/captions + applied/unapplied) are flattened
+  if (schemaVersion === '1') {
+    data = ingest.normalizeStructuredPayload(data);
+  }
 
-    if (!data.original_article || typeof data.original_article !== 'string') {
-      return res.status(400).json({ error: 'original_article is required and must be a string' });
-    }
+  // Generate article_url if not provided
+  if (!data.article_url) {
+    data = { ...data, article_url: `generated-${Date.now()}${suffix}` };
+  }
+
+  return { data, schemaVersion };
+}
 
-    if (!data.corrected_article || typeof data.corrected_article !== 'string') {
-      return res.status(400).json({ error: 'corrected_article is required and must be a string' });
+// Frontend link to a saved correction
+function getCorrectionUrl(id) {
+  // Get frontend URL from environment or use default
+  const frontendUrl = process.env.FRONTEND_URL || 'https://correction-viewer-frontend-qpfdynkt7a-lz.a.run.app';
+  return `${frontendUrl}/correction/${id}`;
+}
+
+// Hooks for db.saveCorrections that queue webhook events for saved runs, and for
+// their regression flags, in the same save. Start deliveryIds once it returns.
+function runSavedWebhooks() {
+  const deliveryIds = [];
+  return {
+    deliveryIds,
+    onSaved: async (tx, id, data) => {
+      deliveryIds.push(...await webhooks.queue(tx, 'correction.created', {
+        id,
+        article_url: data.article_url,
+        experiment: data.experiment || null,
+        url: getCorrectionUrl(id)
+      }));
+    },
+    onFlagged: async (tx, id, regression) => {
+      deliveryIds.push(...await webhooks.queue(tx, 'run.regression', { ...regression, url: getCorrectionUrl(id) }));
     }
+  };
+}
+
+// POST new correction
+app.post('/api/corrections', auth.authorize('ingest'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
 
-    if (!data.merged_changes || !Array.isArray(data.merged_changes)) {
-      return res.status(400).json({ error: 'merged_changes is required and must be an array' });
+  try {
+    const { data, errors, schemaVersion } = prepareCorrection(req.body);
+
+    if (errors) {
+      return res.status(400).json({
+        error: `Payload does not match schema version ${schemaVersion}`,
+        schema_version: schemaVersion,
+        errors
+      });
     }
 
     // Save to database
-    const id = db.saveCorrection(data);
-
-    // Get frontend URL from environment or use default
-    const frontendUrl = process.env.FRONTEND_URL || 'https://correction-viewer-frontend-qpfdynkt7a-lz.a.run.app';
-    const correctionUrl = `${frontendUrl}/correction/${id}`;
+    const runWebhooks = runSavedWebhooks();
+    const id = await db.saveCorrection(data, req.auth, runWebhooks);
+    webhooks.start(runWebhooks.deliveryIds);
 
     res.status(201).json({
       success: true,
       id,
-      url: correctionUrl,
+      schema: data.schema || 'flat',
+      schema_version: schemaVersion,
+      url: getCorrectionUrl(id),
       message: 'Correction saved successfully'
     });
   } catch (error) {
@@ -80,14 +144,137 @@ app.post('/api/corrections', (req, res) => {
   }
 });
 
-// GET all corrections (list view)
-app.get('/api/corrections', (req, res) => {
+const MAX_BATCH_SIZE = 1000;
+
+// Parse an NDJSON body into items; lines that are not valid JSON become { parseError }
+function parseNdjson(text) {
+  return text
+    .split(/\r?\n/)
+    .filter(line => line.trim().length > 0)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return { parseError: e.message };
+      }
+    });
+}
+
+// POST a batch of corrections (JSON array or NDJSON, one correction per line).
+// Valid items are saved in one transaction with a single flush to disk; invalid
+// items are reported by index and do not stop the rest of the batch.
+app.post(
+  '/api/corrections/batch',
+  auth.authorize('ingest'),
+  bodyParser.text({ type: 'application/x-ndjson', limit: '50mb' }),
+  async (req, res) => {
+    if (!serverReady) {
+      return res.status(503).json({ error: 'Server is initializing' });
+    }
+
+    try {
+      const items = typeof req.body === 'string' ? parseNdjson(req.body) : req.body;
+
+      if (!Array.isArray(items)) {
+        return res.status(400).json({ error: 'Batch must be a JSON array or NDJSON (application/x-ndjson)' });
+      }
+      if (items.length === 0) {
+        return res.status(400).json({ error: 'Batch is empty' });
+      }
+      if (items.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({ error: `Batch must not contain more than ${MAX_BATCH_SIZE} items` });
+      }
+
+      const results = [];
+      const valid = [];
+
+      items.forEach((item, index) => {
+        if (item && item.parseError) {
+          results[index] = { index, success: false, error: 'Invalid JSON', details: item.parseError };
+          return;
+        }
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+          results[index] = { index, success: false, error: 'Item must be a JSON object' };
+          return;
+        }
+
+        const { data, errors, schemaVersion } = prepareCorrection(item, `-${index}`);
+        if (errors) {
+          results[index] = {
+            index,
+            success: false,
+            error: `Payload does not match schema version ${schemaVersion}`,
+            schema_version: schemaVersion,
+            errors
+          };
+          return;
+        }
+
+        valid.push({ index, data, schemaVersion });
+      });
+
+      const runWebhooks = runSavedWebhooks();
+      const ids = valid.length
+        ? await db.saveCorrections(valid.map(item => item.data), req.auth, runWebhooks)
+        : [];
+      webhooks.start(runWebhooks.deliveryIds);
+
+      valid.forEach((item, position) => {
+        results[item.index] = {
+          index: item.index,
+          success: true,
+          id: ids[position],
+          schema: item.data.schema || 'flat',
+          schema_version: item.schemaVersion,
+          url: getCorrectionUrl(ids[position])
+        };
+      });
+
+      res.status(valid.length ? 201 : 400).json({
+        success: valid.length === items.length,
+        total: items.length,
+        saved: valid.length,
+        failed: items.length - valid.length,
+        results
+      });
+    } catch (error) {
+      console.error('Error saving correction batch:', error);
+      res.status(500).json({
+        error: 'Failed to save correction batch',
+        details: error.message
+      });
+    }
+  }
+);
+
+// GET current payload schema for POST /api/corrections
+app.get('/api/schema', (req, res) => {
+  res.json({
+    current_version: validation.CURRENT_SCHEMA_VERSION,
+    supported_versions: validation.supportedVersions,
+    schema: validation.getSchema()
+  });
+});
+
+// GET a specific payload schema version
+app.get('/api/schema/:version', (req, res) => {
+  const schema = validation.getSchema(req.params.version);
+
+  if (!schema) {
+    return res.status(404).json({ error: 'Schema version not found' });
+  }
+
+  res.json(schema);
+});
+
+// GET all corrections (list view), optionally filtered by run tag
+app.get('/api/corrections', async (req, res) => {
   if (!serverReady) {
     return res.status(503).json({ error: 'Server is initializing' });
   }
 
   try {
-    const corrections = db.listCorrections();
+    const corrections = await db.listCorrections({ tag: req.query.tag });
     res.json(corrections);
   } catch (error) {
     console.error('Error fetching corrections:', error);
@@ -99,7 +286,7 @@ app.get('/api/corrections', (req, res) => {
 });
 
 // GET single correction by ID
-app.get('/api/corrections/:id', (req, res) => {
+app.get('/api/corrections/:id', async (req, res) => {
   if (!serverReady) {
     return res.status(503).json({ error: 'Server is initializing' });
   }
@@ -111,7 +298,7 @@ app.get('/api/corrections/:id', (req, res) => {
       return res.status(400).json({ error: 'Invalid ID' });
     }
 
-    const correction = db.getCorrection(id);
+    const correction = await db.getCorrection(id);
 
     if (!correction) {
       return res.status(404).json({ error: 'Correction not found' });
@@ -128,7 +315,7 @@ app.get('/api/corrections/:id', (req, res) => {
 });
 
 // GET corrected text for a correction (for export to CMS)
-app.get('/api/corrections/:id/corrected-text', (req, res) => {
+app.get('/api/corrections/:id/corrected-text', async (req, res) => {
   if (!serverReady) {
     return res.status(503).json({ error: 'Server is initializing' });
   }
@@ -140,7 +327,7 @@ app.get('/api/corrections/:id/corrected-text', (req, res) => {
       return res.status(400).json({ error: 'Invalid ID' });
     }
 
-    const correction = db.getCorrection(id);
+    const correction = await db.getCorrection(id);
 
     if (!correction) {
       return res.status(404).json({ error: 'Correction not found' });
@@ -164,8 +351,161 @@ app.get('/api/corrections/:id/corrected-text', (req, res) => {
   }
 });
 
-// DELETE correction by ID
-app.delete('/api/corrections/:id', (req, res) => {
+// GET annotated report of a correction: word diff and change list.
+// Query: format=html|md|critic (default html)
+app.get('/api/corrections/:id/export', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseInt(req.params.id, 10);
+    const format = req.query.format || 'html';
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+
+    if (!exporter.EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: `format must be one of: ${Object.keys(exporter.EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const correction = await db.getCorrection(id);
+
+    if (!correction) {
+      return res.status(404).json({ error: 'Correction not found' });
+    }
+
+    const report = exporter.renderCorrectionExport(correction, format);
+    const filename = `correction-${correction.id}-run-${correction.run_number}.${report.extension}`;
+
+    res.set('Content-Type', report.contentType);
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.send(report.body);
+  } catch (error) {
+    console.error('Error exporting correction:', error);
+    res.status(500).json({
+      error: 'Failed to export correction',
+      details: error.message
+    });
+  }
+});
+
+// PATCH review decision for a single merged change
+app.patch('/api/corrections/:id/changes/:changeId', auth.authorize('review'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+
+    const { status, comment, reviewer } = req.body || {};
+    const validStatuses = [...db.REVIEW_STATUSES, 'pending'];
+
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${validStatuses.join(', ')}` });
+    }
+
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      return res.status(400).json({ error: 'comment must be a string if provided' });
+    }
+
+    if (reviewer !== undefined && reviewer !== null && typeof reviewer !== 'string') {
+      return res.status(400).json({ error: 'reviewer must be a string if provided' });
+    }
+
+    const before = await db.getReviewSummary(id);
+    const result = await db.saveChangeReview(id, req.params.changeId, { status, comment, reviewer }, req.auth);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Correction or change not found' });
+    }
+
+    // This decision reviewed the last pending change
+    if (before.pending > 0 && result.summary.pending === 0) {
+      await webhooks.emit('review.completed', {
+        correction_id: id,
+        reviewer: reviewer || null,
+        summary: result.summary,
+        url: getCorrectionUrl(id)
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error saving review:', error);
+    res.status(500).json({
+      error: 'Failed to save review',
+      details: error.message
+    });
+  }
+});
+
+// GET review progress for a correction
+app.get('/api/corrections/:id/reviews', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+
+    const summary = await db.getReviewSummary(id);
+
+    if (!summary) {
+      return res.status(404).json({ error: 'Correction not found' });
+    }
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching review summary:', error);
+    res.status(500).json({
+      error: 'Failed to fetch review summary',
+      details: error.message
+    });
+  }
+});
+
+// GET review history for a single merged change
+app.get('/api/corrections/:id/changes/:changeId/history', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+
+    res.json(await db.getChangeReviewHistory(id, req.params.changeId));
+  } catch (error) {
+    console.error('Error fetching review history:', error);
+    res.status(500).json({
+      error: 'Failed to fetch review history',
+      details: error.message
+    });
+  }
+});
+
+// DELETE correction by ID (moves it to the trash)
+app.delete('/api/corrections/:id', auth.authorize('admin'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
   try {
     const id = parseInt(req.params.id, 10);
 
@@ -173,13 +513,15 @@ app.delete('/api/corrections/:id', (req, res) => {
       return res.status(400).json({ error: 'Invalid ID' });
     }
 
-    const deleted = db.removeCorrection(id);
+    const deleted = await db.removeCorrection(id, req.auth);
 
     if (!deleted) {
       return res.status(404).json({ error: 'Correction not found' });
     }
 
-    res.json({ success: true, message: 'Correction deleted' });
+    await webhooks.emit('correction.deleted', deleted);
+
+    res.json({ success: true, message: 'Correction moved to trash' });
   } catch (error) {
     console.error('Error deleting correction:', error);
     res.status(500).json({
@@ -189,16 +531,127 @@ app.delete('/api/corrections/:id', (req, res) => {
   }
 });
 
+// ===== TRASH ENDPOINTS =====
+
+// GET runs in the trash, most recently deleted first
+app.get('/api/trash', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const pageSize = Math.min(parseInt(req.query.pageSize, 10) || 20, 100);
+    res.json(await db.listTrash(page, pageSize));
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      error: 'Failed to fetch trash',
+      details: error.message
+    });
+  }
+});
+
+// POST restore a run from the trash
+app.post('/api/trash/:id/restore', auth.authorize('admin'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+
+    const restored = await db.restoreCorrection(id, req.auth);
+    if (!restored) {
+      return res.status(404).json({ error: 'Run not found in trash' });
+    }
+
+    res.json({ success: true, ...restored });
+  } catch (error) {
+    console.error('Error restoring correction:', error);
+    res.status(500).json({
+      error: 'Failed to restore correction',
+      details: error.message
+    });
+  }
+});
+
+// DELETE a run from the trash permanently
+app.delete('/api/trash/:id', auth.authorize('admin'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+
+    const purged = await db.purgeCorrection(id, req.auth);
+    if (!purged) {
+      return res.status(404).json({ error: 'Run not found in trash' });
+    }
+
+    res.json({ success: true, message: 'Correction permanently deleted' });
+  } catch (error) {
+    console.error('Error purging correction:', error);
+    res.status(500).json({
+      error: 'Failed to purge correction',
+      details: error.message
+    });
+  }
+});
+
 // ===== ARTICLES ENDPOINTS =====
 
-// GET all articles (overview)
-app.get('/api/articles', (req, res) => {
+// GET articles (overview), filtered, sorted and paginated
+app.get('/api/articles', async (req, res) => {
   if (!serverReady) {
     return res.status(503).json({ error: 'Server is initializing' });
   }
 
   try {
-    const articles = db.listArticles();
+    const { sort = 'latest', metric = 'f1', domain, from, to } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const pageSize = Math.min(parseInt(req.query.pageSize, 10) || 20, 100);
+    const minRuns = req.query.minRuns !== undefined ? parseInt(req.query.minRuns, 10) : undefined;
+
+    if (!db.ARTICLE_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${db.ARTICLE_SORTS.join(', ')}` });
+    }
+    if (!db.ARTICLE_METRICS.includes(metric)) {
+      return res.status(400).json({ error: `metric must be one of: ${db.ARTICLE_METRICS.join(', ')}` });
+    }
+    if (domain && !/^[a-z0-9.-]+$/i.test(domain)) {
+      return res.status(400).json({ error: 'domain must be a host name, e.g. svd.se' });
+    }
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be a valid date` });
+      }
+    }
+    if (minRuns !== undefined && (isNaN(minRuns) || minRuns < 0)) {
+      return res.status(400).json({ error: 'minRuns must be a non-negative integer' });
+    }
+    if (req.query.hasGold !== undefined && !['true', 'false'].includes(req.query.hasGold)) {
+      return res.status(400).json({ error: 'hasGold must be true or false' });
+    }
+
+    const articles = await db.listArticles({
+      page,
+      pageSize,
+      sort,
+      metric,
+      domain,
+      from,
+      to,
+      minRuns,
+      hasGold: req.query.hasGold !== undefined ? req.query.hasGold === 'true' : undefined
+    });
     res.json(articles);
   } catch (error) {
     console.error('Error fetching articles:', error);
@@ -209,62 +662,956 @@ app.get('/api/articles', (req, res) => {
   }
 });
 
-// GET single article with all runs
-app.get('/api/articles/:url(*)', (req, res) => {
+// Gold standard routes are registered before the catch-all article route
+// so that /gold is not swallowed by :url(*)
+
+// Normalize a gold standard payload.
+// Accepts either { gold_text, author, notes } or the article shape used in
+// test-gold-standard.json: { title, lead, body, metadata: { corrector, notes } }
+function parseGoldPayload(data) {
+  const metadata = data.metadata || {};
+  let goldText = data.gold_text;
+
+  if (goldText === undefined && (data.title || data.lead || data.body)) {
+    const body = Array.isArray(data.body) ? data.body.join('\n\n') : data.body;
+    goldText = [data.title, data.lead, body].filter(Boolean).join('\n\n');
+  }
+
+  return {
+    gold_text: goldText,
+    author: data.author !== undefined ? data.author : metadata.corrector,
+    notes: data.notes !== undefined ? data.notes : metadata.notes
+  };
+}
+
+// POST gold standard for an article
+app.post('/api/articles/:url(*)/gold', auth.authorize('review'), async (req, res) => {
   if (!serverReady) {
     return res.status(503).json({ error: 'Server is initializing' });
   }
 
   try {
-    // Decode URL parameter (may be URL-encoded from frontend)
     const url = decodeURIComponent(req.params.url);
-    const page = parseInt(req.query.page, 10) || 1;
-    const pageSize = parseInt(req.query.pageSize, 10) || 10;
 
-    if (!url) {
-      return res.status(400).json({ error: 'URL is required' });
+    if (!(await db.getArticleByUrl(url))) {
+      return res.status(404).json({ error: 'Article not found' });
     }
 
-    const article = db.getArticleWithRuns(url, page, pageSize);
+    if (await db.getGoldStandard(url)) {
+      return res.status(409).json({ error: 'Gold standard already exists, use PUT to update it' });
+    }
 
-    if (!article) {
-      return res.status(404).json({ error: 'Article not found' });
+    const gold = parseGoldPayload(req.body || {});
+
+    if (!gold.gold_text || typeof gold.gold_text !== 'string') {
+      return res.status(400).json({ error: 'gold_text (or title/lead/body) is required and must be a string' });
     }
 
-    res.json(article);
+    const saved = await db.saveGoldStandard(url, gold, req.auth);
+    res.status(201).json(saved);
   } catch (error) {
-    console.error('Error fetching article:', error);
+    console.error('Error saving gold standard:', error);
     res.status(500).json({
-      error: 'Failed to fetch article',
+      error: 'Failed to save gold standard',
       details: error.message
     });
   }
 });
 
-// GET single correction run with full details
-app.get('/api/runs/:runId', (req, res) => {
+// GET gold standard for an article
+app.get('/api/articles/:url(*)/gold', async (req, res) => {
   if (!serverReady) {
     return res.status(503).json({ error: 'Server is initializing' });
   }
 
   try {
-    const runId = parseInt(req.params.runId, 10);
+    const url = decodeURIComponent(req.params.url);
+    const gold = await db.getGoldStandard(url);
 
-    if (!runId) {
-      return res.status(400).json({ error: 'Run ID is required' });
+    if (!gold) {
+      return res.status(404).json({ error: 'Gold standard not found' });
     }
 
-    const run = db.getRunById(runId);
+    res.json(gold);
+  } catch (error) {
+    console.error('Error fetching gold standard:', error);
+    res.status(500).json({
+      error: 'Failed to fetch gold standard',
+      details: error.message
+    });
+  }
+});
 
-    if (!run) {
-      return res.status(404).json({ error: 'Run not found' });
+// PUT (update) gold standard for an article
+app.put('/api/articles/:url(*)/gold', auth.authorize('review'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const url = decodeURIComponent(req.params.url);
+    const gold = parseGoldPayload(req.body || {});
+
+    if (gold.gold_text !== undefined && (!gold.gold_text || typeof gold.gold_text !== 'string')) {
+      return res.status(400).json({ error: 'gold_text must be a non-empty string if provided' });
     }
 
-    res.json(run);
+    const updated = await db.updateGoldStandard(url, gold, req.auth);
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Gold standard not found' });
+    }
+
+    res.json(updated);
   } catch (error) {
-    console.error('Error fetching run:', error);
+    console.error('Error updating gold standard:', error);
     res.status(500).json({
-      error: 'Failed to fetch run',
+      error: 'Failed to update gold standard',
+      details: error.message
+    });
+  }
+});
+
+// DELETE gold standard for an article
+app.delete('/api/articles/:url(*)/gold', auth.authorize('review'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const url = decodeURIComponent(req.params.url);
+    const deleted = await db.removeGoldStandard(url, req.auth);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Gold standard not found' });
+    }
+
+    res.json({ success: true, message: 'Gold standard deleted' });
+  } catch (error) {
+    console.error('Error deleting gold standard:', error);
+    res.status(500).json({
+      error: 'Failed to delete gold standard',
+      details: error.message
+    });
+  }
+});
+
+// GET versions of an article's original, oldest first
+app.get('/api/articles/:url(*)/versions', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const url = decodeURIComponent(req.params.url);
+
+    if (!(await db.getArticleByUrl(url))) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    res.json(await db.listArticleVersions(url));
+  } catch (error) {
+    console.error('Error fetching article versions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch article versions',
+      details: error.message
+    });
+  }
+});
+
+// GET one version of an article's original with its text
+app.get('/api/articles/:url(*)/versions/:version', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const url = decodeURIComponent(req.params.url);
+    const version = parseId(req.params.version);
+
+    if (!version) {
+      return res.status(400).json({ error: 'Version must be a positive integer' });
+    }
+
+    const articleVersion = await db.getArticleVersion(url, version);
+
+    if (!articleVersion) {
+      return res.status(404).json({ error: 'Article version not found' });
+    }
+
+    res.json(articleVersion);
+  } catch (error) {
+    console.error('Error fetching article version:', error);
+    res.status(500).json({
+      error: 'Failed to fetch article version',
+      details: error.message
+    });
+  }
+});
+
+// GET single article with all runs
+app.get('/api/articles/:url(*)', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    // Decode URL parameter (may be URL-encoded from frontend)
+    const url = decodeURIComponent(req.params.url);
+    const page = parseInt(req.query.page, 10) || 1;
+    const pageSize = parseInt(req.query.pageSize, 10) || 10;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+
+    const article = await db.getArticleWithRuns(url, page, pageSize, { tag: req.query.tag });
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    res.json(article);
+  } catch (error) {
+    console.error('Error fetching article:', error);
+    res.status(500).json({
+      error: 'Failed to fetch article',
+      details: error.message
+    });
+  }
+});
+
+// GET single correction run with full details
+app.get('/api/runs/:runId', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const runId = parseInt(req.params.runId, 10);
+
+    if (!runId) {
+      return res.status(400).json({ error: 'Run ID is required' });
+    }
+
+    const run = await db.getRunById(runId);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Error fetching run:', error);
+    res.status(500).json({
+      error: 'Failed to fetch run',
+      details: error.message
+    });
+  }
+});
+
+// ===== AGENTS ENDPOINTS =====
+
+// GET per-agent leaderboard (suggestions, review outcome, gold precision)
+app.get('/api/agents/leaderboard', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const { category, severity, from, to } = req.query;
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be a valid date` });
+      }
+    }
+
+    const leaderboard = await db.getAgentLeaderboard({ category, severity, from, to });
+    res.json(leaderboard);
+  } catch (error) {
+    console.error('Error fetching agent leaderboard:', error);
+    res.status(500).json({
+      error: 'Failed to fetch agent leaderboard',
+      details: error.message
+    });
+  }
+});
+
+// ===== DIFF ENDPOINTS =====
+
+// Longest text (per side) that POST /api/diff accepts
+const MAX_DIFF_LENGTH = 200000;
+
+// POST word diff of two texts { a, b }: merged operations with character offsets
+// into both texts, from the same diff module the viewers use
+app.post('/api/diff', async (req, res) => {
+  try {
+    const { a, b } = req.body || {};
+
+    if (typeof a !== 'string' || typeof b !== 'string') {
+      return res.status(400).json({ error: 'a and b are required and must be strings' });
+    }
+
+    if (a.length > MAX_DIFF_LENGTH || b.length > MAX_DIFF_LENGTH) {
+      return res.status(413).json({ error: `a and b may be at most ${MAX_DIFF_LENGTH} characters` });
+    }
+
+    const operations = diff.diffWithOffsets(a, b);
+    res.json({ operations, stats: diff.diffStats(operations) });
+  } catch (error) {
+    console.error('Error computing diff:', error);
+    res.status(500).json({
+      error: 'Failed to compute diff',
+      details: error.message
+    });
+  }
+});
+
+// ===== EXPORT ENDPOINTS =====
+
+// POST a download token for the changes export, so the browser can stream it
+// to disk from a plain link (see auth.createDownloadToken). The token is null
+// when the request has no key.
+app.post('/api/export/changes/token', (req, res) => {
+  const download = auth.createDownloadToken(req, '/api/export/changes');
+  res.json(download || { token: null, expires_at: null });
+});
+
+// GET every merged change as one row, streamed in batches of runs.
+// Query: format=csv|jsonl (default jsonl), from, to, agent, category, severity, review
+app.get('/api/export/changes', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  const format = req.query.format || 'jsonl';
+  const { from, to, agent, category, severity, review } = req.query;
+
+  if (!exporter.CHANGE_EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: `format must be one of: ${Object.keys(exporter.CHANGE_EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be a valid date` });
+    }
+  }
+
+  if (review && ![...db.REVIEW_STATUSES, 'pending'].includes(review)) {
+    return res.status(400).json({ error: `review must be one of: ${[...db.REVIEW_STATUSES, 'pending'].join(', ')}` });
+  }
+
+  const { contentType, extension } = exporter.CHANGE_EXPORT_FORMATS[format];
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="changes.${extension}"`);
+
+  // Wait for the client to catch up when the socket buffer is full; stop when it has gone
+  const write = (chunk) => new Promise((resolve, reject) => {
+    if (res.destroyed) {
+      return reject(new Error('Client disconnected'));
+    }
+    if (!chunk || res.write(chunk)) {
+      return resolve();
+    }
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  try {
+    await write(exporter.changeExportHeader(format));
+    await db.forEachChangeBatch({ from, to, agent, category, severity, review }, rows =>
+      write(exporter.formatChangeRows(rows, format))
+    );
+    res.end();
+  } catch (error) {
+    console.error('Error exporting changes:', error);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return res.status(500).json({
+        error: 'Failed to export changes',
+        details: error.message
+      });
+    }
+    res.destroy(error);
+  }
+});
+
+// ===== EXPERIMENTS ENDPOINTS =====
+
+// Parse a positive integer id, or null
+function parseId(value) {
+  const id = parseInt(value, 10);
+  return String(id) === String(value) && id > 0 ? id : null;
+}
+
+// GET all experiments with run and article counts
+app.get('/api/experiments', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const experiments = await db.listExperiments();
+    res.json(experiments);
+  } catch (error) {
+    console.error('Error fetching experiments:', error);
+    res.status(500).json({
+      error: 'Failed to fetch experiments',
+      details: error.message
+    });
+  }
+});
+
+// POST new experiment
+app.post('/api/experiments', auth.authorize('ingest'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const { name, description } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      return res.status(400).json({ error: 'description must be a string' });
+    }
+
+    const experiment = await db.createExperiment({ name: name.trim(), description }, req.auth);
+
+    if (!experiment) {
+      return res.status(409).json({ error: 'An experiment with this name already exists' });
+    }
+
+    res.status(201).json(experiment);
+  } catch (error) {
+    console.error('Error creating experiment:', error);
+    res.status(500).json({
+      error: 'Failed to create experiment',
+      details: error.message
+    });
+  }
+});
+
+// GET comparison of two experiments (?a=<id>&b=<id>), registered before /:id
+app.get('/api/experiments/compare', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const a = parseId(req.query.a);
+    const b = parseId(req.query.b);
+
+    if (!a || !b) {
+      return res.status(400).json({ error: 'a and b must be experiment ids' });
+    }
+
+    const comparison = await db.compareExperiments(a, b);
+
+    if (!comparison) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    res.json(comparison);
+  } catch (error) {
+    console.error('Error comparing experiments:', error);
+    res.status(500).json({
+      error: 'Failed to compare experiments',
+      details: error.message
+    });
+  }
+});
+
+// GET single experiment with its runs
+app.get('/api/experiments/:id', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseId(req.params.id);
+    const experiment = id ? await db.getExperiment(id) : null;
+
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    res.json(experiment);
+  } catch (error) {
+    console.error('Error fetching experiment:', error);
+    res.status(500).json({
+      error: 'Failed to fetch experiment',
+      details: error.message
+    });
+  }
+});
+
+// POST assign existing runs to an experiment ({ run_ids: [...] })
+app.post('/api/experiments/:id/runs', auth.authorize('ingest'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseId(req.params.id);
+    const runIds = req.body.run_ids;
+
+    if (!Array.isArray(runIds) || runIds.length === 0 || !runIds.every(runId => Number.isInteger(runId) && runId > 0)) {
+      return res.status(400).json({ error: 'run_ids must be a non-empty array of run ids' });
+    }
+
+    if (!id || !(await db.getExperiment(id))) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    const missing = await db.assignRunsToExperiment(id, runIds, req.auth);
+
+    if (missing.length) {
+      return res.status(404).json({ error: 'Runs not found', run_ids: missing });
+    }
+
+    res.json(await db.getExperiment(id));
+  } catch (error) {
+    console.error('Error assigning runs to experiment:', error);
+    res.status(500).json({
+      error: 'Failed to assign runs',
+      details: error.message
+    });
+  }
+});
+
+// DELETE remove a run from an experiment (the run itself is kept)
+app.delete('/api/experiments/:id/runs/:runId', auth.authorize('ingest'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseId(req.params.id);
+    const runId = parseId(req.params.runId);
+    const removed = id && runId ? await db.removeRunFromExperiment(id, runId, req.auth) : false;
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Run not found in experiment' });
+    }
+
+    res.json({ success: true, message: 'Run removed from experiment' });
+  } catch (error) {
+    console.error('Error removing run from experiment:', error);
+    res.status(500).json({
+      error: 'Failed to remove run from experiment',
+      details: error.message
+    });
+  }
+});
+
+// ===== REGRESSIONS ENDPOINTS =====
+
+// GET runs flagged as regressions, newest first.
+// Query: since (ISO date, flagged at or after), article_url, limit
+app.get('/api/regressions', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const { since, article_url: articleUrl } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    if (since && isNaN(Date.parse(since))) {
+      return res.status(400).json({ error: 'since must be a valid date' });
+    }
+
+    const regressions = await db.listRegressions({ since, articleUrl, limit });
+    res.json({ threshold: db.REGRESSION_THRESHOLD, regressions });
+  } catch (error) {
+    console.error('Error fetching regressions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch regressions',
+      details: error.message
+    });
+  }
+});
+
+// ===== WEBHOOKS ENDPOINTS =====
+
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'success', 'failed'];
+
+// Validate a webhook payload; partial allows leaving out url and events (PATCH).
+// Returns an error message or null.
+function validateWebhookPayload(body, partial = false) {
+  const { url, events, secret, description, active } = body || {};
+
+  if (url !== undefined || !partial) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      // handled below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be an http or https URL';
+    }
+  }
+
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => db.WEBHOOK_EVENTS.includes(event))) {
+      return `events must be a non-empty array of: ${db.WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return 'secret must be a string of at least 16 characters';
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'description must be a string if provided';
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active must be a boolean';
+  }
+
+  return null;
+}
+
+// GET all webhook subscriptions
+app.get('/api/webhooks', auth.authorize('admin'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    res.json(await db.listWebhooks());
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhooks',
+      details: error.message
+    });
+  }
+});
+
+// POST new webhook subscription. A secret is generated when none is given;
+// it is only returned in this response.
+app.post('/api/webhooks', auth.authorize('admin'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const validationError = validateWebhookPayload(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { url, events, description } = req.body;
+    const secret = req.body.secret || crypto.randomBytes(32).toString('hex');
+    const webhook = await db.createWebhook({ url, events: [...new Set(events)], secret, description }, req.auth);
+
+    res.status(201).json(webhook);
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      error: 'Failed to create webhook',
+      details: error.message
+    });
+  }
+});
+
+// GET a webhook subscription
+app.get('/api/webhooks/:id', auth.authorize('admin'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseId(req.params.id);
+    const webhook = id && await db.getWebhook(id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(webhook);
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhook',
+      details: error.message
+    });
+  }
+});
+
+// PATCH a webhook subscription (url, events, secret, description, active)
+app.patch('/api/webhooks/:id', auth.authorize('admin'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const validationError = validateWebhookPayload(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { url, events, secret, description, active } = req.body;
+    const webhook = await db.updateWebhook(id, {
+      url,
+      events: events && [...new Set(events)],
+      secret,
+      description,
+      active
+    }, req.auth);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(webhook);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      error: 'Failed to update webhook',
+      details: error.message
+    });
+  }
+});
+
+// DELETE a webhook subscription and its delivery log
+app.delete('/api/webhooks/:id', auth.authorize('admin'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseId(req.params.id);
+    const deleted = id && await db.removeWebhook(id, req.auth);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ success: true, message: 'Webhook deleted' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      error: 'Failed to delete webhook',
+      details: error.message
+    });
+  }
+});
+
+// GET delivery log of a webhook, newest first. Query: status, limit
+app.get('/api/webhooks/:id/deliveries', auth.authorize('admin'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseId(req.params.id);
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    if (!id || !(await db.getWebhook(id))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(await db.listWebhookDeliveries(id, { status, limit }));
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhook deliveries',
+      details: error.message
+    });
+  }
+});
+
+// POST a ping event to one webhook, to test the receiver and its signature check
+app.post('/api/webhooks/:id/ping', auth.authorize('admin'), async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const id = parseId(req.params.id);
+    const webhook = id && await db.getWebhook(id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const [deliveryId] = await webhooks.emit('ping', { webhook_id: id }, id);
+    res.status(202).json({ success: true, delivery_id: deliveryId });
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({
+      error: 'Failed to ping webhook',
+      details: error.message
+    });
+  }
+});
+
+// ===== AUTH ENDPOINTS =====
+
+// GET the caller's key name, role and permissions (used by the frontend login)
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    ...req.auth,
+    permissions: auth.ROLE_PERMISSIONS[req.auth.role],
+    auth_required: auth.AUTH_REQUIRED
+  });
+});
+
+// GET all API keys (never the keys themselves)
+app.get('/api/keys', auth.authorize('admin'), async (req, res) => {
+  try {
+    res.json(await db.listApiKeys());
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      error: 'Failed to fetch API keys',
+      details: error.message
+    });
+  }
+});
+
+// POST new API key { name, role }. The key is only returned in this response.
+app.post('/api/keys', auth.authorize('admin'), async (req, res) => {
+  try {
+    const { name, role } = req.body || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!auth.ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${auth.ROLES.join(', ')}` });
+    }
+
+    res.status(201).json(await auth.createApiKey(name.trim(), role, req.auth));
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      details: error.message
+    });
+  }
+});
+
+// DELETE (revoke) an API key
+app.delete('/api/keys/:id', auth.authorize('admin'), async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const revoked = id && await db.revokeApiKey(id, req.auth);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      details: error.message
+    });
+  }
+});
+
+// ===== AUDIT ENDPOINTS =====
+
+// GET audit log, newest first. Query: action, actor, target_type, target_id,
+// correction_id, article_url, from, to, page, pageSize
+app.get('/api/audit', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const { action, actor, target_type: targetType, target_id: targetId, article_url: articleUrl, from, to } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const pageSize = Math.min(parseInt(req.query.pageSize, 10) || 50, 200);
+    let correctionId;
+
+    if (req.query.correction_id !== undefined) {
+      correctionId = parseId(req.query.correction_id);
+      if (!correctionId) {
+        return res.status(400).json({ error: 'correction_id must be a run id' });
+      }
+    }
+
+    for (const value of [from, to]) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+      }
+    }
+
+    const result = await db.listAuditLog({
+      action,
+      actor,
+      targetType,
+      targetId,
+      correctionId,
+      articleUrl,
+      from,
+      to,
+      page,
+      pageSize
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit log',
+      details: error.message
+    });
+  }
+});
+
+// ===== SEARCH ENDPOINTS =====
+
+// GET full-text search over articles, runs and merged changes
+app.get('/api/search', async (req, res) => {
+  if (!serverReady) {
+    return res.status(503).json({ error: 'Server is initializing' });
+  }
+
+  try {
+    const q = (req.query.q || '').trim();
+    const { kind } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (!q) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    if (kind && !SEARCH_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${SEARCH_KINDS.join(', ')}` });
+    }
+
+    const results = await db.searchCorrections({ q, kind, limit });
+    res.json({ query: q, results });
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({
+      error: 'Failed to search',
       details: error.message
     });
   }
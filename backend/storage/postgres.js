@@ -0,0 +1,101 @@
+// PostgreSQL storage adapter (STORAGE_BACKEND=postgres)
+//
+// Connects with DATABASE_URL (or the standard PG* environment variables).
+// Queries are written with ? placeholders like the sql.js adapter and are
+// rewritten to $1, $2, ... here. Timestamps are stored as UTC without time zone
+// and returned as 'YYYY-MM-DD HH:MM:SS' strings, the same format SQLite uses.
+
+const { Pool, types: pgTypes } = require('pg');
+
+// COUNT(*) and other bigint results come back as strings by default
+pgTypes.setTypeParser(pgTypes.builtins.INT8, value => parseInt(value, 10));
+pgTypes.setTypeParser(pgTypes.builtins.NUMERIC, value => parseFloat(value));
+// Keep TIMESTAMP values as text instead of converting them to local Date objects
+pgTypes.setTypeParser(pgTypes.builtins.TIMESTAMP, value => value);
+
+let pool;
+
+const dialect = 'postgres';
+
+// Column definitions that differ between dialects, used by migrations
+const types = {
+  id: 'SERIAL PRIMARY KEY',
+  timestamp: "TIMESTAMP(0) DEFAULT (now() AT TIME ZONE 'utc')"
+};
+
+// Connect to the database; the schema is created by migrations
+async function init() {
+  pool = new Pool(process.env.DATABASE_URL ? { connectionString: process.env.DATABASE_URL } : {});
+}
+
+// Rewrite ? placeholders to PostgreSQL's numbered $n form
+function toNumberedPlaceholders(sql) {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+// Run a query and return its rows as arrays of column values
+async function query(sql, params = [], client = pool) {
+  const result = await client.query({
+    text: toNumberedPlaceholders(sql),
+    values: params,
+    rowMode: 'array'
+  });
+  return result.rows;
+}
+
+// Run a statement without results
+async function run(sql, params = [], client = pool) {
+  await query(sql, params, client);
+}
+
+// Run fn inside a transaction on a dedicated connection
+async function transaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn({
+      query: (sql, params) => query(sql, params, client),
+      run: (sql, params) => run(sql, params, client)
+    });
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Check whether a table in the current schema has a column (used by migrations)
+async function columnExists(table, column, executor = { query }) {
+  const rows = await executor.query(`
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?
+  `, [table, column]);
+  return rows.length > 0;
+}
+
+// Writes are durable on commit; nothing to flush
+async function persist() {}
+
+// Any number of processes can share a PostgreSQL database; nothing to hold
+function lock() {}
+
+function lockHolder() {
+  return null;
+}
+
+module.exports = {
+  dialect,
+  types,
+  init,
+  columnExists,
+  query,
+  run,
+  transaction,
+  persist,
+  lock,
+  lockHolder
+};
@@ -0,0 +1,132 @@
+// sql.js storage adapter (default for development)
+//
+// The whole database lives in memory and is written to corrections.db by persist().
+// sql.js is synchronous; the functions are async only to share the adapter
+// interface with the PostgreSQL implementation.
+
+const initSqlJs = require('sql.js');
+const fs = require('fs');
+const path = require('path');
+
+// Use /app/data for persistent storage in Docker, otherwise use the backend
+// directory. SQLITE_PATH overrides the file (tests use a temporary one).
+const dbPath = process.env.SQLITE_PATH ||
+  path.join(process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..'), 'corrections.db');
+const dbDir = path.dirname(dbPath);
+const lockPath = `${dbPath}.lock`;
+
+let db;
+
+const dialect = 'sqlite';
+
+// Column definitions that differ between dialects, used by migrations
+const types = {
+  id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+  timestamp: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+};
+
+// Open (or create) the database file; the schema is created by migrations
+async function init() {
+  const SQL = await initSqlJs();
+
+  // Load existing database or create new one
+  if (fs.existsSync(dbPath)) {
+    const fileBuffer = fs.readFileSync(dbPath);
+    db = new SQL.Database(fileBuffer);
+  } else {
+    db = new SQL.Database();
+  }
+
+}
+
+// Check whether a table has a column (used by migrations)
+async function columnExists(table, column) {
+  const result = db.exec(`PRAGMA table_info(${table})`);
+  const columns = result.length ? result[0].values.map(row => row[1]) : [];
+  return columns.includes(column);
+}
+
+// Run a query and return its rows as arrays of column values
+async function query(sql, params = []) {
+  const result = db.exec(sql, params);
+  return result.length ? result[0].values : [];
+}
+
+// Run a statement without results
+async function run(sql, params = []) {
+  db.run(sql, params);
+}
+
+// Run fn inside a transaction; fn receives an executor with query/run
+async function transaction(fn) {
+  db.run('BEGIN');
+  try {
+    const result = await fn({ query, run });
+    db.run('COMMIT');
+    return result;
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  }
+}
+
+// Mark the database file as held by this process (the server). Its in-memory
+// copy overwrites the file on the next persist(), so other processes must not
+// write to the file meanwhile (see lockHolder).
+function lock() {
+  if (!fs.existsSync(dbDir)) {
+    fs.mkdirSync(dbDir, { recursive: true });
+  }
+  fs.writeFileSync(lockPath, String(process.pid));
+  process.on('exit', () => {
+    try {
+      if (fs.readFileSync(lockPath, 'utf8') === String(process.pid)) {
+        fs.unlinkSync(lockPath);
+      }
+    } catch (error) {
+      // Already gone
+    }
+  });
+}
+
+// Pid of another running process holding the database file, or null.
+// A lock left behind by a process that has exited is ignored.
+function lockHolder() {
+  let pid;
+  try {
+    pid = parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+  } catch (error) {
+    return null;
+  }
+  if (!pid || pid === process.pid) return null;
+
+  try {
+    process.kill(pid, 0);
+    return pid;
+  } catch (error) {
+    return error.code === 'EPERM' ? pid : null;
+  }
+}
+
+// Save database to disk
+async function persist() {
+  if (!fs.existsSync(dbDir)) {
+    fs.mkdirSync(dbDir, { recursive: true });
+  }
+  const data = db.export();
+  const buffer = Buffer.from(data);
+  fs.writeFileSync(dbPath, buffer);
+}
+
+module.exports = {
+  dialect,
+  types,
+  init,
+  columnExists,
+  query,
+  run,
+  transaction,
+  persist,
+  lock,
+  lockHolder
+};
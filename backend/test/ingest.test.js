@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getChangeKeys } = require('../ingest');
+
+test('keys changes by id, or by position without one', () => {
+  assert.deepEqual(getChangeKeys([{ id: 'a' }, {}, { id: 7 }]), ['a', '1', '7']);
+});
+
+test('keeps keys unique when a stored run repeats an id', () => {
+  assert.deepEqual(getChangeKeys([{ id: 'a' }, { id: 'a' }, { id: 'b' }, { id: 'a' }]), ['a', 'a#1', 'b', 'a#3']);
+});
+
+test('keeps a position key unique against an id', () => {
+  assert.deepEqual(getChangeKeys([{ id: '1' }, {}]), ['1', '1#1']);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { levenshteinDistance, calculateRunMetrics, calculateRunSimilarity } = require('../metrics');
+
+test('computes the edit distance around a common prefix and suffix', () => {
+  assert.equal(levenshteinDistance('kitten', 'sitting'), 3);
+  assert.equal(levenshteinDistance('Hej du och ni.', 'Hej dig och er.'), 4);
+  assert.equal(levenshteinDistance('abc', 'abc'), 0);
+  assert.equal(levenshteinDistance('', 'abc'), 3);
+  assert.equal(levenshteinDistance('abcabc', 'abc'), 3);
+});
+
+test('derives similarity from the same edit distance', () => {
+  const metrics = calculateRunMetrics({ corrected_article: 'Hej du.' }, 'Hej dig.', 'Hej du.');
+  assert.equal(metrics.edit_distance, 2);
+  assert.equal(metrics.similarity, Math.round((1 - 2 / 8) * 100) / 100);
+});
+
+test('compares runs word by word', () => {
+  const run = (text) => ({ corrected_article: text });
+  assert.equal(calculateRunSimilarity(run('Hej dig och er.'), run('Hej dig och er.')), 1);
+  assert.equal(calculateRunSimilarity(run('Hej du och ni.'), run('Hej dig och er.')), 0.6);
+  assert.equal(calculateRunSimilarity(run('Hej du.'), run('Hej du, och ni.')), 0.5);
+  assert.equal(calculateRunSimilarity(run(''), run('Hej.')), 0);
+  assert.equal(calculateRunSimilarity(run(''), run('')), 1);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'corrections-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = path.join(dir, 'corrections.db');
+const db = require('../database');
+
+test.before(() => db.initDatabase());
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const change = (id, originalText, suggestedText) => ({
+  id,
+  original_text: originalText,
+  suggested_text: suggestedText,
+  agent_ids: ['agent-1'],
+  primary_agent_id: 'agent-1',
+  severity: 'minor'
+});
+
+// Runs saved before ids had to be unique can repeat one (saveCorrection does not validate)
+test('reviewing one of two changes sharing an id leaves the other pending', async () => {
+  const id = await db.saveCorrection({
+    article_url: 'https://example.com/shared-id',
+    original_article: 'Hej du och ni.',
+    corrected_article: 'Hej dig och er.',
+    merged_changes: [change('a', 'du', 'dig'), change('a', 'ni', 'er')]
+  });
+
+  const result = await db.saveChangeReview(id, 'a', { status: 'accepted', reviewer: 'test' });
+  assert.equal(result.review.status, 'accepted');
+  assert.equal(result.summary.reviewed, 1);
+  assert.equal(result.summary.pending, 1);
+
+  const correction = await db.getCorrection(id);
+  assert.deepEqual(
+    correction.merged_changes.map(c => [c.change_key, c.review && c.review.status]),
+    [['a', 'accepted'], ['a#1', null]]
+  );
+
+  const leaderboard = await db.getAgentLeaderboard();
+  const agent = leaderboard.agents.find(a => a.agent_id === 'agent-1');
+  assert.equal(agent.suggestions, 2);
+  assert.equal(agent.accepted, 1);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePayload } = require('../validation');
+
+const change = (fields) => ({ original_text: 'du', suggested_text: 'dig', ...fields });
+
+const payload = (mergedChanges) => ({
+  original_article: 'Hej du.',
+  corrected_article: 'Hej dig.',
+  merged_changes: mergedChanges
+});
+
+test('accepts distinct change ids and changes without an id', () => {
+  assert.deepEqual(validatePayload(payload([change({ id: 'a' }), change({ id: 'b' }), change({})]), '2'), []);
+});
+
+test('rejects a repeated change id', () => {
+  const errors = validatePayload(payload([change({ id: 'a' }), change({ id: 'b' }), change({ id: 'a' })]), '2');
+  assert.deepEqual(errors, [{ path: '$.merged_changes[2].id', message: 'must be unique' }]);
+});
+
+test('treats numeric and string ids as the same key', () => {
+  const errors = validatePayload(payload([change({ id: 1 }), change({ id: '1' })]), '2');
+  assert.deepEqual(errors, [{ path: '$.merged_changes[1].id', message: 'must be unique' }]);
+});
@@ -0,0 +1,255 @@
+// Versioned payload schemas for POST /api/corrections
+//
+// The schemas are declared as JSON Schema (draft-07) so the agent pipeline can
+// fetch them from GET /api/schema and validate with any standard validator.
+// validatePayload() below implements the subset of JSON Schema used here and
+// reports every offending JSON path, not just the first.
+
+const CURRENT_SCHEMA_VERSION = '2';
+
+const patchSchema = {
+  type: 'object',
+  required: ['path', 'before', 'after'],
+  properties: {
+    agent: { type: 'string' },
+    path: { type: 'string', pattern: '^(title|lead|body\\[\\d+\\]|captions\\[\\d+\\])$' },
+    before: { type: 'string' },
+    after: { type: 'string' },
+    reason: { type: 'string' }
+  }
+};
+
+const unappliedPatchSchema = {
+  ...patchSchema,
+  required: ['path']
+};
+
+const structuredArticleSchema = {
+  type: 'object',
+  properties: {
+    url: { type: 'string' },
+    title: { type: 'string' },
+    lead: { type: 'string' },
+    body: { type: ['array', 'string'], items: { type: 'string' } },
+    captions: { type: ['array', 'string'], items: { type: 'string' } }
+  }
+};
+
+const mergedChangeSchema = {
+  type: 'object',
+  required: ['original_text', 'suggested_text'],
+  properties: {
+    id: { type: ['string', 'integer'] },
+    section_id: { type: ['string', 'null'] },
+    char_start: { type: ['integer', 'null'], minimum: 0 },
+    char_end: { type: ['integer', 'null'], minimum: 0 },
+    original_text: { type: 'string' },
+    suggested_text: { type: 'string' },
+    severity: { enum: ['major', 'minor'] },
+    status: { enum: ['multi_agent_agreement', 'single_source'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    agent_ids: { type: 'array', items: { type: 'string' } },
+    primary_agent_id: { type: ['string', 'null'] },
+    categories: { type: 'array', items: { type: 'string' } },
+    explanations: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+// Optional description of how a run was produced; any extra keys are stored as-is
+const runMetadataSchema = {
+  type: 'object',
+  properties: {
+    pipeline_version: { type: 'string' },
+    git_sha: { type: 'string', pattern: '^[0-9a-fA-F]{7,40}$' },
+    model: { type: 'string' },
+    agents: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          version: { type: 'string' }
+        }
+      }
+    },
+    temperature: { type: 'number', minimum: 0 },
+    duration_ms: { type: 'number', minimum: 0 },
+    input_tokens: { type: 'integer', minimum: 0 },
+    output_tokens: { type: 'integer', minimum: 0 },
+    cost_usd: { type: 'number', minimum: 0 },
+    tags: { type: 'array', items: { type: 'string', minLength: 1 } }
+  }
+};
+
+const schemas = {
+  // Version 1: structured articles with applied/unapplied patches (README format)
+  1: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Correction payload (structured, v1)',
+    type: 'object',
+    required: ['original_article', 'corrected_article'],
+    properties: {
+      schema_version: { enum: ['1', 1] },
+      article_url: { type: 'string', minLength: 1 },
+      article_id: {},
+      original_article: structuredArticleSchema,
+      corrected_article: structuredArticleSchema,
+      applied: { type: 'array', items: patchSchema },
+      unapplied: { type: 'array', items: unappliedPatchSchema },
+      merged_changes: { type: 'array', items: mergedChangeSchema },
+      run_metadata: runMetadataSchema,
+      experiment: { type: 'string', minLength: 1 }
+    }
+  },
+
+  // Version 2: flat article text with merged_changes
+  2: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Correction payload (flat, v2)',
+    type: 'object',
+    required: ['original_article', 'corrected_article', 'merged_changes'],
+    properties: {
+      schema_version: { enum: ['2', 2] },
+      article_url: { type: 'string', minLength: 1 },
+      original_article: { type: 'string', minLength: 1 },
+      corrected_article: { type: 'string', minLength: 1 },
+      merged_changes: { type: 'array', items: mergedChangeSchema },
+      run_metadata: runMetadataSchema,
+      experiment: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+// JSON type of a value, distinguishing integer and null like JSON Schema does
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = jsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validate a value against a schema node, pushing { path, message } into errors
+function validateNode(value, schema, path, errors) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be of type ${types.join(' or ')}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (jsonType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        validateNode(value[key], propertySchema, `${path}.${key}`, errors);
+      }
+    });
+  }
+}
+
+// Checks JSON Schema cannot express: offsets order, unique change ids (reviews,
+// the leaderboard and ?change= links key changes by id; 1 and "1" are the same
+// key), non-empty structured article
+function validateSemantics(data, version, errors) {
+  const ids = new Set();
+  (Array.isArray(data.merged_changes) ? data.merged_changes : []).forEach((change, index) => {
+    if (
+      change && Number.isInteger(change.char_start) && Number.isInteger(change.char_end) &&
+      change.char_end < change.char_start
+    ) {
+      errors.push({ path: `$.merged_changes[${index}].char_end`, message: 'must be >= char_start' });
+    }
+    if (change && change.id !== undefined && change.id !== null) {
+      if (ids.has(String(change.id))) {
+        errors.push({ path: `$.merged_changes[${index}].id`, message: 'must be unique' });
+      }
+      ids.add(String(change.id));
+    }
+  });
+
+  if (version === '1' && jsonType(data.original_article) === 'object') {
+    const { title, lead, body, captions } = data.original_article;
+    const hasContent = [title, lead].some(Boolean) ||
+      (Array.isArray(body) ? body.length > 0 : Boolean(body)) ||
+      (Array.isArray(captions) ? captions.length > 0 : Boolean(captions));
+    if (!hasContent) {
+      errors.push({ path: '$.original_article', message: 'must contain at least one non-empty section' });
+    }
+  }
+}
+
+// Resolve the schema version of a payload: explicit schema_version, else by shape
+function resolveSchemaVersion(data, detectedSchema) {
+  if (data.schema_version !== undefined && data.schema_version !== null) {
+    return String(data.schema_version);
+  }
+  return detectedSchema === 'structured' ? '1' : CURRENT_SCHEMA_VERSION;
+}
+
+// Validate a payload against a schema version, returning a list of errors
+function validatePayload(data, version) {
+  const schema = schemas[version];
+  if (!schema) {
+    return [{
+      path: '$.schema_version',
+      message: `unsupported schema version, supported: ${Object.keys(schemas).join(', ')}`
+    }];
+  }
+
+  const errors = [];
+  validateNode(data, schema, '$', errors);
+  validateSemantics(data, version, errors);
+  return errors;
+}
+
+// Get a published schema (defaults to the current version)
+function getSchema(version = CURRENT_SCHEMA_VERSION) {
+  return schemas[version] || null;
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  resolveSchemaVersion,
+  validatePayload,
+  getSchema,
+  supportedVersions: Object.keys(schemas)
+};
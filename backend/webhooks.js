@@ -0,0 +1,128 @@
+// Outgoing webhooks: queue an event for every subscribed webhook, sign the
+// payload with the webhook's secret and retry failed deliveries with backoff.
+const crypto = require('crypto');
+const db = require('./database');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// HMAC-SHA256 of the raw request body, sent as X-Webhook-Signature
+function sign(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// Delay before the next attempt: base, 2x base, 4x base, ...
+function retryDelay(attempts) {
+  return RETRY_BASE_MS * Math.pow(2, attempts - 1);
+}
+
+function scheduleDelivery(deliveryId, delay) {
+  setTimeout(() => deliver(deliveryId), Math.max(delay, 0)).unref();
+}
+
+function buildPayload(event, data) {
+  return JSON.stringify({ event, created_at: new Date().toISOString(), data });
+}
+
+// Queue an event for all active webhooks subscribed to it and start delivering.
+// Errors are logged so a webhook problem never fails the request that caused it.
+async function emit(event, data, webhookId = null) {
+  try {
+    const ids = await db.createWebhookDeliveries(event, buildPayload(event, data), webhookId);
+    start(ids);
+    return ids;
+  } catch (error) {
+    console.error(`Failed to queue webhook event ${event}:`, error);
+    return [];
+  }
+}
+
+// Queue an event inside the caller's transaction (executor), so the deliveries
+// are saved with it. Returns the delivery ids to start() once it has committed.
+async function queue(executor, event, data) {
+  return db.queueWebhookDeliveries(executor, event, buildPayload(event, data));
+}
+
+// Start delivering queued deliveries
+function start(ids) {
+  ids.forEach(id => scheduleDelivery(id, 0));
+}
+
+// Make one delivery attempt; on failure schedule a retry until MAX_ATTEMPTS is reached
+async function deliver(deliveryId) {
+  try {
+    const delivery = await db.getWebhookDelivery(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    if (!delivery.active) {
+      await db.recordWebhookAttempt(deliveryId, { status: 'failed', error: 'Webhook is inactive' });
+      return;
+    }
+
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'correction-viewer-webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Signature': sign(delivery.secret, delivery.payload)
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      responseStatus = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (!error) {
+      await db.recordWebhookAttempt(deliveryId, { status: 'success', responseStatus });
+      return;
+    }
+
+    const attempts = delivery.attempts + 1;
+    if (attempts >= MAX_ATTEMPTS) {
+      await db.recordWebhookAttempt(deliveryId, { status: 'failed', responseStatus, error });
+      return;
+    }
+
+    const delay = retryDelay(attempts);
+    await db.recordWebhookAttempt(deliveryId, {
+      status: 'pending',
+      responseStatus,
+      error,
+      nextAttemptAt: new Date(Date.now() + delay)
+    });
+    scheduleDelivery(deliveryId, delay);
+  } catch (error) {
+    console.error(`Webhook delivery ${deliveryId} failed:`, error);
+  }
+}
+
+// Reschedule deliveries that were still pending when the server stopped
+async function resumePendingDeliveries() {
+  const pending = await db.getPendingWebhookDeliveries();
+  for (const delivery of pending) {
+    const dueAt = delivery.next_attempt_at ? Date.parse(delivery.next_attempt_at) : Date.now();
+    scheduleDelivery(delivery.id, dueAt - Date.now());
+  }
+  return pending.length;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  sign,
+  emit,
+  queue,
+  start,
+  resumePendingDeliveries
+};
@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { apiFetch } from './auth';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const rankOptions = {
+  suggestions: 'Antal förslag',
+  acceptance_rate: 'Andel godkända',
+  rejection_rate: 'Andel avvisade',
+  gold_precision: 'Gold precision'
+};
+
+export default function AgentLeaderboard() {
+  const navigate = useNavigate();
+  const [leaderboard, setLeaderboard] = useState({ agents: [], filters: { categories: [], severities: [] } });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const [rankBy, setRankBy] = useState('suggestions');
+  const [category, setCategory] = useState('');
+  const [severity, setSeverity] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    fetchLeaderboard();
+  }, [category, severity, from, to]);
+
+  const filterParams = () => {
+    const params = new URLSearchParams();
+    if (category) params.set('category', category);
+    if (severity) params.set('severity', severity);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    return params;
+  };
+
+  const fetchLeaderboard = async () => {
+    try {
+      setLoading(true);
+      const response = await apiFetch(`${API_URL}/api/agents/leaderboard?${filterParams()}`);
+      if (!response.ok) throw new Error('Failed to fetch leaderboard');
+      const data = await response.json();
+      setLeaderboard(data);
+      setError('');
+    } catch (err) {
+      setError(`Error loading leaderboard: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Download all changes matching the filters as a dataset
+  const exportChanges = async (format) => {
+    try {
+      setExporting(true);
+      const params = filterParams();
+      params.set('format', format);
+
+      // A plain link lets the browser stream the export to disk; links cannot
+      // send the API key, so a short-lived download token goes in the URL instead
+      const response = await apiFetch(`${API_URL}/api/export/changes/token`, { method: 'POST' });
+      if (!response.ok) throw new Error('Failed to export changes');
+      const { token } = await response.json();
+      if (token) params.set('download_token', token);
+
+      const link = document.createElement('a');
+      link.href = `${API_URL}/api/export/changes?${params}`;
+      link.download = `changes.${format}`;
+      link.click();
+      setError('');
+    } catch (err) {
+      setError(`Error exporting changes: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Rank agents; agents without data for the chosen rate go last
+  const rankedAgents = useMemo(() => {
+    return [...leaderboard.agents].sort((a, b) => {
+      const valueA = a[rankBy] === null ? -1 : a[rankBy];
+      const valueB = b[rankBy] === null ? -1 : b[rankBy];
+      if (valueB !== valueA) return valueB - valueA;
+      return b.suggestions - a.suggestions;
+    });
+  }, [leaderboard, rankBy]);
+
+  const formatRate = (value) => value === null ? '–' : `${Math.round(value * 100)}%`;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto p-6">
+        <button
+          onClick={() => navigate('/')}
+          className="mb-4 text-blue-600 hover:text-blue-800 font-medium"
+        >
+          ← Tillbaka till översikt
+        </button>
+
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Agenter</h1>
+          <p className="text-gray-600">
+            Rangordning av agenter utifrån förslag, granskningsbeslut och träffar mot gold standard
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 text-sm">{error}</p>
+          </div>
+        )}
+
+        <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+          <div className="flex items-center gap-4 flex-wrap">
+            <div className="flex items-center gap-2">
+              <label className="text-sm font-medium text-gray-700">Rangordna:</label>
+              <select
+                value={rankBy}
+                onChange={(e) => setRankBy(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {Object.entries(rankOptions).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <label className="text-sm font-medium text-gray-700">Kategori:</label>
+              <select
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Alla</option>
+                {leaderboard.filters.categories.map(cat => (
+                  <option key={cat} value={cat}>{cat}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <label className="text-sm font-medium text-gray-700">Severity:</label>
+              <select
+                value={severity}
+                onChange={(e) => setSeverity(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Alla</option>
+                {leaderboard.filters.severities.map(sev => (
+                  <option key={sev} value={sev}>{sev}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <label className="text-sm font-medium text-gray-700">Från:</label>
+              <input
+                type="date"
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded text-sm"
+              />
+              <label className="text-sm font-medium text-gray-700">Till:</label>
+              <input
+                type="date"
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded text-sm"
+              />
+            </div>
+
+            <div className="ml-auto flex items-center gap-3 text-sm text-gray-600">
+              <span>{rankedAgents.length} agenter</span>
+              <span className="text-gray-300">|</span>
+              <span>Exportera ändringar:</span>
+              {['csv', 'jsonl'].map(format => (
+                <button
+                  key={format}
+                  disabled={exporting}
+                  onClick={() => exportChanges(format)}
+                  className="text-blue-600 hover:text-blue-800 disabled:text-gray-400 font-medium uppercase"
+                >
+                  {format}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="text-gray-600 text-center p-8">Laddar agenter...</div>
+        ) : rankedAgents.length === 0 ? (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-8 text-center text-blue-800">
+            Inga agentförslag matchar filtret.
+          </div>
+        ) : (
+          <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 border-b border-gray-200 text-left text-gray-700">
+                <tr>
+                  <th className="px-4 py-3 font-medium">#</th>
+                  <th className="px-4 py-3 font-medium">Agent</th>
+                  <th className="px-4 py-3 font-medium text-right">Förslag</th>
+                  <th className="px-4 py-3 font-medium text-right">Granskade</th>
+                  <th className="px-4 py-3 font-medium text-right">Godkända</th>
+                  <th className="px-4 py-3 font-medium text-right">Avvisade</th>
+                  <th className="px-4 py-3 font-medium text-right">Gold precision</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rankedAgents.map((agent, index) => (
+                  <tr key={agent.agent_id} className="border-b border-gray-100 last:border-0 hover:bg-gray-50">
+                    <td className="px-4 py-3 text-gray-500 font-mono text-xs">{index + 1}</td>
+                    <td className="px-4 py-3">
+                      <span className="font-medium text-gray-900">{agent.agent_id}</span>
+                      <span className="ml-2 text-xs text-gray-500">
+                        primär i {agent.primary}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-right font-semibold">{agent.suggestions}</td>
+                    <td className="px-4 py-3 text-right text-gray-600">{agent.reviewed}</td>
+                    <td className="px-4 py-3 text-right text-green-700">
+                      {formatRate(agent.acceptance_rate)}
+                      <span className="ml-1 text-xs text-gray-400">({agent.accepted})</span>
+                    </td>
+                    <td className="px-4 py-3 text-right text-red-700">
+                      {formatRate(agent.rejection_rate)}
+                      <span className="ml-1 text-xs text-gray-400">({agent.rejected})</span>
+                    </td>
+                    <td className="px-4 py-3 text-right text-purple-700">
+                      {formatRate(agent.gold_precision)}
+                      <span className="ml-1 text-xs text-gray-400">
+                        ({agent.gold_matches}/{agent.gold_evaluated})
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
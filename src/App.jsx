@@ -1,20 +1,88 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Routes, Route } from 'react-router-dom';
 import ArticlesList from './ArticlesList';
 import ArticleDetail from './ArticleDetail';
 import CorrectionViewer from './CorrectionViewer';
 import MultiRunComparison from './MultiRunComparison';
+import AgentLeaderboard from './AgentLeaderboard';
+import ExperimentComparison from './ExperimentComparison';
+import Trash from './Trash';
+import Login from './Login';
+import { SessionContext, login, logout } from './auth';
+
+const roleLabels = {
+  'read-only': 'Läsbehörighet',
+  ingest: 'Inläsning',
+  reviewer: 'Granskare',
+  admin: 'Administratör'
+};
 
 export default function App() {
+  const [session, setSession] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [error, setError] = useState('');
+
+  // Resume the stored key, or find out that the backend does not require one
+  useEffect(() => {
+    login()
+      .then(setSession)
+      .catch(err => setError(`Kunde inte nå API:t: ${err.message}`))
+      .finally(() => setChecking(false));
+  }, []);
+
+  if (checking) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-gray-600">Laddar...</div>
+      </div>
+    );
+  }
+
+  if (!session) {
+    return error ? (
+      <div className="min-h-screen bg-gray-50 p-6">
+        <div className="max-w-7xl mx-auto bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      </div>
+    ) : (
+      <Login onLogin={setSession} />
+    );
+  }
+
   return (
-    <Routes>
-      {/* New article-centric routes */}
-      <Route path="/" element={<ArticlesList />} />
-      <Route path="/article/:url" element={<ArticleDetail />} />
-      <Route path="/article/:url/compare" element={<MultiRunComparison />} />
-
-      {/* Correction detail with flexible comparison */}
-      <Route path="/correction/:id" element={<CorrectionViewer />} />
-    </Routes>
+    <SessionContext.Provider value={session}>
+      {session.auth_required && (
+        <div className="bg-gray-800 text-gray-200 text-xs">
+          <div className="max-w-7xl mx-auto px-6 py-1 flex items-center justify-end gap-3">
+            <span>
+              {session.name} · {roleLabels[session.role] || session.role}
+            </span>
+            <button onClick={logout} className="text-gray-400 hover:text-white">
+              Logga ut
+            </button>
+          </div>
+        </div>
+      )}
+
+      <Routes>
+        {/* New article-centric routes */}
+        <Route path="/" element={<ArticlesList />} />
+        <Route path="/article/:url" element={<ArticleDetail />} />
+        <Route path="/article/:url/compare" element={<MultiRunComparison />} />
+
+        {/* Correction detail with flexible comparison */}
+        <Route path="/correction/:id" element={<CorrectionViewer />} />
+
+        {/* Agent leaderboard */}
+        <Route path="/agents" element={<AgentLeaderboard />} />
+
+        {/* Experiment A vs B comparison */}
+        <Route path="/experiments" element={<ExperimentComparison />} />
+
+        {/* Deleted runs */}
+        <Route path="/trash" element={<Trash />} />
+      </Routes>
+    </SessionContext.Provider>
   );
 }
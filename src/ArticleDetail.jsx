@@ -1,8 +1,92 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
+import { apiFetch, can, useSession } from './auth';
+import AuditHistory from './AuditHistory';
+import OriginalVersionDiff from './OriginalVersionDiff';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// How a run was produced (model, pipeline, agents, cost) and its tags
+function RunMetadata({ metadata, activeTag, onTagClick }) {
+  const details = [];
+  if (metadata.model) details.push(['Modell', metadata.model]);
+  if (metadata.pipeline_version) details.push(['Pipeline', metadata.pipeline_version]);
+  if (metadata.git_sha) details.push(['Commit', metadata.git_sha.substring(0, 7)]);
+  if (metadata.temperature !== undefined) details.push(['Temperatur', metadata.temperature]);
+  if (metadata.duration_ms !== undefined) details.push(['Tid', `${(metadata.duration_ms / 1000).toFixed(1)} s`]);
+  if (metadata.input_tokens !== undefined || metadata.output_tokens !== undefined) {
+    details.push(['Tokens', `${metadata.input_tokens ?? '–'} in / ${metadata.output_tokens ?? '–'} ut`]);
+  }
+  if (metadata.cost_usd !== undefined) details.push(['Kostnad', `$${metadata.cost_usd.toFixed(4)}`]);
+
+  return (
+    <div className="mt-2 space-y-1">
+      {details.length > 0 && (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">
+          {details.map(([label, value]) => (
+            <span key={label}>
+              <span className="text-gray-400">{label}:</span> <span className="font-mono">{value}</span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {metadata.agents && metadata.agents.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="text-xs text-gray-400">Agenter:</span>
+          {metadata.agents.map((agent, index) => (
+            <span key={index} className="text-xs px-2 py-0.5 bg-gray-100 text-gray-700 rounded font-mono">
+              {agent.name}{agent.version ? `@${agent.version}` : ''}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {metadata.tags && metadata.tags.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1">
+          {metadata.tags.map(tag => (
+            <button
+              key={tag}
+              onClick={(e) => {
+                e.stopPropagation();
+                onTagClick(tag);
+              }}
+              className={`text-xs px-2 py-0.5 rounded ${
+                tag === activeTag ? 'bg-indigo-600 text-white' : 'bg-indigo-50 text-indigo-700 hover:bg-indigo-100'
+              }`}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const regressionLabels = {
+  f1: 'F1',
+  similarity: 'Likhet mot gold',
+  run_similarity: 'Likhet med föregående körning'
+};
+
+// Why a run was flagged: each metric that dropped compared with the previous run
+function RegressionWarning({ regression }) {
+  return (
+    <div className="mt-2 px-3 py-2 bg-orange-50 border border-orange-200 rounded text-xs text-orange-800">
+      <span className="font-medium">⚠️ Möjlig regression</span> jämfört med Run #{regression.previous_run_number}:
+      {regression.drops.map(drop => (
+        <span key={drop.metric} className="ml-2">
+          {regressionLabels[drop.metric] || drop.metric}{' '}
+          {drop.previous !== null ? `${drop.previous.toFixed(2)} → ` : ''}
+          {drop.current.toFixed(2)}
+          <span className="font-mono"> (−{drop.drop.toFixed(2)})</span>
+        </span>
+      ))}
+    </div>
+  );
+}
+
 export default function ArticleDetail() {
   const navigate = useNavigate();
   const { url } = useParams();
@@ -11,15 +95,24 @@ export default function ArticleDetail() {
   const [article, setArticle] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [tag, setTag] = useState('');
+  // Original versions being compared, { from, to }; defaults to the two latest
+  const [versionDiff, setVersionDiff] = useState(null);
+  const canDelete = can(useSession(), 'admin');
 
   useEffect(() => {
     fetchArticle();
+  }, [decodedUrl, tag]);
+
+  useEffect(() => {
+    setVersionDiff(null);
   }, [decodedUrl]);
 
   const fetchArticle = async () => {
     try {
       setLoading(true);
-      const response = await fetch(`${API_URL}/api/articles/${encodeURIComponent(decodedUrl)}`);
+      const params = tag ? `?tag=${encodeURIComponent(tag)}` : '';
+      const response = await apiFetch(`${API_URL}/api/articles/${encodeURIComponent(decodedUrl)}${params}`);
       if (!response.ok) throw new Error('Failed to fetch article');
       const data = await response.json();
       setArticle(data);
@@ -31,6 +124,18 @@ export default function ArticleDetail() {
     }
   };
 
+  const deleteRun = async (run) => {
+    if (!window.confirm(`Flytta Run #${run.run_number} till papperskorgen?`)) return;
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/corrections/${run.id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to delete run');
+      await fetchArticle();
+    } catch (err) {
+      setError(`Error deleting run: ${err.message}`);
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString('sv-SE', {
       timeZone: 'Europe/Stockholm',
@@ -42,7 +147,9 @@ export default function ArticleDetail() {
     });
   };
 
-  if (loading) {
+  const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+  if (loading && !article) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-gray-600">Laddar artikel...</div>
@@ -68,6 +175,11 @@ export default function ArticleDetail() {
     );
   }
 
+  const versions = article.versions || [];
+  const diffVersions = versionDiff || (versions.length > 1
+    ? { from: versions[versions.length - 2].version, to: article.latest_version }
+    : null);
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-7xl mx-auto p-6">
@@ -100,8 +212,31 @@ export default function ArticleDetail() {
             <div>
               Antal körningar: <span className="font-semibold">{article.runs?.length || 0}</span>
             </div>
+            {versions.length > 1 && (
+              <div>
+                Originalversioner: <span className="font-semibold">{versions.length}</span>
+              </div>
+            )}
           </div>
 
+          {/* The original changed between runs */}
+          {diffVersions && (
+            <div id="original-versions" className="mb-6 pb-6 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-800 mb-1">Originalversioner</h2>
+              <p className="text-xs text-gray-500 mb-3">
+                Originalet har ändrats mellan körningarna. Körningar mot en äldre version är markerade.
+              </p>
+              <OriginalVersionDiff
+                key={decodedUrl}
+                articleUrl={decodedUrl}
+                versions={versions}
+                from={diffVersions.from}
+                to={diffVersions.to}
+                onChange={setVersionDiff}
+              />
+            </div>
+          )}
+
           {/* Runs Section */}
           <div>
             <div className="flex items-center justify-between mb-3">
@@ -118,13 +253,37 @@ export default function ArticleDetail() {
               )}
             </div>
 
+            {article.tags && article.tags.length > 0 && (
+              <div className="flex items-center gap-2 mb-3">
+                <label className="text-sm font-medium text-gray-700">Tagg:</label>
+                <select
+                  value={tag}
+                  onChange={(e) => setTag(e.target.value)}
+                  className="px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Alla körningar</option>
+                  {article.tags.map(t => (
+                    <option key={t} value={t}>{t}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {!article.gold_standard && article.runs && article.runs.length > 0 && (
+              <div className="text-xs text-gray-500 mb-3">
+                Ingen gold standard för artikeln – lägg till en för att se metrics per körning.
+              </div>
+            )}
+
             {article.runs && article.runs.length > 0 ? (
               <div className="space-y-3">
                 {article.runs.map((run) => (
                   <div
                     key={run.id}
                     onClick={() => navigate(`/correction/${run.id}`)}
-                    className="border rounded-lg p-4 hover:bg-blue-50 transition-all cursor-pointer border-gray-200 hover:border-blue-400"
+                    className={`border rounded-lg p-4 hover:bg-blue-50 transition-all cursor-pointer hover:border-blue-400 ${
+                      run.id === article.best_run_id ? 'border-green-400 bg-green-50' : 'border-gray-200'
+                    }`}
                   >
                     <div className="flex items-start justify-between">
                       <div className="flex-1">
@@ -142,27 +301,100 @@ export default function ArticleDetail() {
                               Senaste
                             </span>
                           )}
+                          {run.experiment && (
+                            <span className="text-xs px-2 py-1 bg-indigo-100 text-indigo-700 rounded">
+                              🧪 {run.experiment.name}
+                            </span>
+                          )}
+                          {run.original_outdated && (
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                setVersionDiff({ from: run.original_version, to: article.latest_version });
+                                document.getElementById('original-versions')?.scrollIntoView({ behavior: 'smooth' });
+                              }}
+                              title="Visa skillnaden mot senaste originalet"
+                              className="text-xs px-2 py-1 bg-yellow-100 text-yellow-800 rounded font-medium hover:bg-yellow-200"
+                            >
+                              📝 Äldre original (v{run.original_version} av {article.latest_version})
+                            </button>
+                          )}
+                          {run.regression && (
+                            <span className="text-xs px-2 py-1 bg-orange-100 text-orange-800 rounded font-medium">
+                              ⚠️ Regression
+                            </span>
+                          )}
+                          {run.id === article.best_run_id && (
+                            <span className="text-xs px-2 py-1 bg-green-100 text-green-800 rounded font-medium">
+                              🏆 Bäst mot gold
+                            </span>
+                          )}
                         </div>
 
                         <div className="text-sm text-gray-600">
                           {formatDate(run.created_at)}
                         </div>
+
+                        {run.metrics && (
+                          <div className="flex flex-wrap items-center gap-2 mt-2">
+                            <span className="text-xs px-2 py-0.5 bg-purple-100 text-purple-800 rounded font-medium">
+                              F1: {run.metrics.f1.toFixed(2)}
+                            </span>
+                            <span className="text-xs px-2 py-0.5 bg-gray-100 text-gray-700 rounded">
+                              Precision: {run.metrics.precision.toFixed(2)}
+                            </span>
+                            <span className="text-xs px-2 py-0.5 bg-gray-100 text-gray-700 rounded">
+                              Recall: {run.metrics.recall.toFixed(2)}
+                            </span>
+                            <span className="text-xs px-2 py-0.5 bg-blue-100 text-blue-700 rounded">
+                              Likhet: {formatPercent(run.metrics.similarity)}
+                            </span>
+                            <span className="text-xs px-2 py-0.5 bg-gray-100 text-gray-700 rounded">
+                              Edit distance: {run.metrics.edit_distance}
+                            </span>
+                          </div>
+                        )}
+
+                        {run.regression && <RegressionWarning regression={run.regression} />}
+
+                        {run.run_metadata && (
+                          <RunMetadata
+                            metadata={run.run_metadata}
+                            activeTag={tag}
+                            onTagClick={(t) => setTag(t === tag ? '' : t)}
+                          />
+                        )}
                       </div>
 
-                      <button className="px-3 py-1 text-sm text-blue-600 hover:text-blue-800 font-medium">
-                        Visa →
-                      </button>
+                      <div className="flex items-center gap-1">
+                        {canDelete && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              deleteRun(run);
+                            }}
+                            className="px-3 py-1 text-sm text-red-600 hover:text-red-800"
+                          >
+                            Ta bort
+                          </button>
+                        )}
+                        <button className="px-3 py-1 text-sm text-blue-600 hover:text-blue-800 font-medium">
+                          Visa →
+                        </button>
+                      </div>
                     </div>
                   </div>
                 ))}
               </div>
             ) : (
               <div className="text-sm text-gray-500">
-                Inga correction runs än.
+                {tag ? `Inga körningar med taggen "${tag}".` : 'Inga correction runs än.'}
               </div>
             )}
           </div>
         </div>
+
+        <AuditHistory filters={{ article_url: decodedUrl }} refreshKey={article.pagination?.totalRuns} />
       </div>
     </div>
   );
@@ -1,26 +1,128 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { apiFetch } from './auth';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// URL parameters passed through to GET /api/articles
+const listParams = ['page', 'pageSize', 'sort', 'metric', 'domain', 'from', 'to', 'minRuns', 'hasGold'];
+
+const metricLabels = {
+  f1: 'F1',
+  precision: 'Precision',
+  recall: 'Recall',
+  similarity: 'Likhet'
+};
+
+const searchKindLabels = {
+  change: { text: 'Ändring', color: 'bg-orange-100 text-orange-800' },
+  run: { text: 'Körning', color: 'bg-blue-100 text-blue-800' },
+  article: { text: 'Artikel', color: 'bg-gray-100 text-gray-700' }
+};
+
+// Search hits, each linking to the run (and change) it matched
+function SearchResults({ query, results, onOpen, onClear }) {
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-900">
+          {results.length} träffar för "{query}"
+        </h2>
+        <button
+          onClick={onClear}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          Rensa sökning
+        </button>
+      </div>
+
+      {results.length === 0 ? (
+        <div className="text-sm text-gray-600">Inga träffar.</div>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {results.map((result, index) => {
+            const kindLabel = searchKindLabels[result.kind];
+            return (
+              <div
+                key={index}
+                onClick={() => onOpen(result)}
+                className="py-3 px-2 -mx-2 rounded hover:bg-gray-50 cursor-pointer"
+              >
+                <div className="flex items-center gap-2 mb-1">
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${kindLabel.color}`}>
+                    {kindLabel.text}
+                  </span>
+                  <span className="font-medium text-gray-900 truncate">
+                    {result.title || result.article_url}
+                  </span>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">
+                    Körning #{result.run_number}
+                  </span>
+                </div>
+                <div className="text-sm text-gray-700 whitespace-pre-wrap line-clamp-3">
+                  {result.snippet.map((segment, segmentIndex) => segment.match ? (
+                    <mark key={segmentIndex} className="bg-yellow-200 rounded px-0.5">{segment.text}</mark>
+                  ) : (
+                    <span key={segmentIndex}>{segment.text}</span>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function ArticlesList() {
   const navigate = useNavigate();
   const [articles, setArticles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [sortBy, setSortBy] = useState('latest'); // 'latest', 'oldest', 'most_runs'
+  const [pagination, setPagination] = useState(null);
+
+  // Search, filters, sort and page live in the URL so a filtered view can be shared
+  // and survives navigating back from a run
+  const [searchParams, setSearchParams] = useSearchParams();
+  const searchQuery = searchParams.get('q') || '';
+  const [searchInput, setSearchInput] = useState(searchQuery);
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+
+  const filters = {};
+  listParams.forEach(name => {
+    if (searchParams.get(name)) filters[name] = searchParams.get(name);
+  });
+  const sortBy = filters.sort || 'latest';
+  const metric = filters.metric || 'f1';
+  const currentPage = parseInt(filters.page, 10) || 1;
+  const filtersKey = new URLSearchParams(filters).toString();
+
+  const [domainInput, setDomainInput] = useState(filters.domain || '');
 
   useEffect(() => {
     fetchArticles();
-  }, []);
+    setDomainInput(filters.domain || '');
+  }, [filtersKey]);
+
+  useEffect(() => {
+    setSearchInput(searchQuery);
+    if (searchQuery) {
+      fetchSearchResults(searchQuery);
+    } else {
+      setSearchResults(null);
+    }
+  }, [searchQuery]);
 
   const fetchArticles = async () => {
     try {
       setLoading(true);
-      const response = await fetch(`${API_URL}/api/articles`);
+      const response = await apiFetch(`${API_URL}/api/articles?${filtersKey}`);
       if (!response.ok) throw new Error('Failed to fetch articles');
       const data = await response.json();
-      setArticles(data);
+      setArticles(data.articles);
+      setPagination(data.pagination);
       setError('');
     } catch (err) {
       setError(`Error loading articles: ${err.message}`);
@@ -29,6 +131,49 @@ export default function ArticlesList() {
     }
   };
 
+  const fetchSearchResults = async (q) => {
+    try {
+      setSearching(true);
+      const response = await apiFetch(`${API_URL}/api/search?q=${encodeURIComponent(q)}`);
+      if (!response.ok) throw new Error('Failed to search');
+      const data = await response.json();
+      setSearchResults(data.results);
+      setError('');
+    } catch (err) {
+      setError(`Error searching: ${err.message}`);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const submitSearch = (e) => {
+    e.preventDefault();
+    updateParams({ q: searchInput.trim() }, false);
+  };
+
+  // Set (or clear, for empty values) URL parameters; filter changes go back to page 1
+  const updateParams = (changes, resetPage = true) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([name, value]) => {
+      if (value === '' || value === null || value === undefined) {
+        next.delete(name);
+      } else {
+        next.set(name, value);
+      }
+    });
+    if (resetPage) next.delete('page');
+    setSearchParams(next);
+  };
+
+  const clearFilters = () => {
+    setSearchParams(searchQuery ? { q: searchQuery } : {});
+  };
+
+  const openSearchResult = (result) => {
+    const changeParam = result.change_key !== null ? `?change=${encodeURIComponent(result.change_key)}` : '';
+    navigate(`/correction/${result.correction_id}${changeParam}`);
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString('sv-SE', {
       timeZone: 'Europe/Stockholm',
@@ -49,19 +194,7 @@ export default function ArticlesList() {
     }
   };
 
-  // Sort articles
-  const sortedArticles = [...articles].sort((a, b) => {
-    if (sortBy === 'latest') {
-      return new Date(b.last_updated) - new Date(a.last_updated);
-    } else if (sortBy === 'oldest') {
-      return new Date(a.first_seen) - new Date(b.first_seen);
-    } else if (sortBy === 'most_runs') {
-      return b.run_count - a.run_count;
-    }
-    return 0;
-  });
-
-  if (loading) {
+  if (loading && !pagination) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-gray-600">Laddar artiklar...</div>
@@ -72,11 +205,33 @@ export default function ArticlesList() {
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-7xl mx-auto p-6">
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-gray-900 mb-2">Articles</h1>
-          <p className="text-gray-600">
-            Översikt över alla artiklar med rättningshistorik
-          </p>
+        <div className="mb-8 flex items-start justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Articles</h1>
+            <p className="text-gray-600">
+              Översikt över alla artiklar med rättningshistorik
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => navigate('/experiments')}
+              className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 transition-colors text-sm font-medium"
+            >
+              🧪 Experiment
+            </button>
+            <button
+              onClick={() => navigate('/agents')}
+              className="px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-700 transition-colors text-sm font-medium"
+            >
+              📊 Agenter
+            </button>
+            <button
+              onClick={() => navigate('/trash')}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 transition-colors text-sm font-medium"
+            >
+              🗑 Papperskorg
+            </button>
+          </div>
         </div>
 
         {error && (
@@ -85,34 +240,147 @@ export default function ArticlesList() {
           </div>
         )}
 
+        <form onSubmit={submitSearch} className="flex gap-2 mb-4">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder='Sök i artiklar, körningar och ändringar, t.ex. "militär styrka"'
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={searching}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium disabled:opacity-50"
+          >
+            {searching ? 'Söker...' : 'Sök'}
+          </button>
+        </form>
+
+        {searchResults && (
+          <SearchResults
+            query={searchQuery}
+            results={searchResults}
+            onOpen={openSearchResult}
+            onClear={() => updateParams({ q: '' }, false)}
+          />
+        )}
+
         <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
           <div className="flex items-center gap-4 flex-wrap">
             <div className="flex items-center gap-2">
               <label className="text-sm font-medium text-gray-700">Sortera:</label>
               <select
                 value={sortBy}
-                onChange={(e) => setSortBy(e.target.value)}
+                onChange={(e) => updateParams({ sort: e.target.value === 'latest' ? '' : e.target.value })}
                 className="px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
                 <option value="latest">Senast uppdaterad</option>
                 <option value="oldest">Äldst först</option>
                 <option value="most_runs">Flest körningar</option>
+                <option value="metric">Högst mätvärde (senaste körning)</option>
               </select>
+              {sortBy === 'metric' && (
+                <select
+                  value={metric}
+                  onChange={(e) => updateParams({ metric: e.target.value === 'f1' ? '' : e.target.value })}
+                  className="px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.entries(metricLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              )}
             </div>
 
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                updateParams({ domain: domainInput.trim() });
+              }}
+              className="flex items-center gap-2"
+            >
+              <label className="text-sm font-medium text-gray-700">Domän:</label>
+              <input
+                type="text"
+                value={domainInput}
+                onChange={(e) => setDomainInput(e.target.value)}
+                onBlur={() => {
+                  if (domainInput.trim() !== (filters.domain || '')) updateParams({ domain: domainInput.trim() });
+                }}
+                placeholder="t.ex. svd.se"
+                className="w-32 px-3 py-1 border border-gray-300 rounded text-sm"
+              />
+            </form>
+
+            <div className="flex items-center gap-2">
+              <label className="text-sm font-medium text-gray-700">Uppdaterad:</label>
+              <input
+                type="date"
+                value={filters.from || ''}
+                onChange={(e) => updateParams({ from: e.target.value })}
+                className="px-3 py-1 border border-gray-300 rounded text-sm"
+              />
+              <span className="text-sm text-gray-500">–</span>
+              <input
+                type="date"
+                value={filters.to || ''}
+                onChange={(e) => updateParams({ to: e.target.value })}
+                className="px-3 py-1 border border-gray-300 rounded text-sm"
+              />
+            </div>
+
+            <div className="flex items-center gap-2">
+              <label className="text-sm font-medium text-gray-700">Min. körningar:</label>
+              <input
+                type="number"
+                min="0"
+                value={filters.minRuns || ''}
+                onChange={(e) => updateParams({ minRuns: e.target.value })}
+                className="w-16 px-3 py-1 border border-gray-300 rounded text-sm"
+              />
+            </div>
+
+            <div className="flex items-center gap-2">
+              <label className="text-sm font-medium text-gray-700">Gold:</label>
+              <select
+                value={filters.hasGold || ''}
+                onChange={(e) => updateParams({ hasGold: e.target.value })}
+                className="px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Alla</option>
+                <option value="true">Med gold standard</option>
+                <option value="false">Utan gold standard</option>
+              </select>
+            </div>
+
+            {Object.keys(filters).some(name => name !== 'page') && (
+              <button
+                onClick={clearFilters}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Rensa filter
+              </button>
+            )}
+
             <div className="ml-auto text-sm text-gray-600">
-              {articles.length} artiklar
+              {pagination ? pagination.totalArticles : 0} artiklar
             </div>
           </div>
         </div>
 
-        {articles.length === 0 ? (
+        {articles.length === 0 && Object.keys(filters).length > 0 ? (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-8 text-center text-blue-800">
+            Inga artiklar matchar filtret.
+          </div>
+        ) : articles.length === 0 ? (
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-8 text-center">
             <p className="text-blue-800">
               Inga artiklar än. Posta en correction med en URL via API:et för att komma igång.
             </p>
             <pre className="mt-4 text-left text-xs bg-white p-4 rounded border border-blue-200 overflow-x-auto">
 {`curl -X POST http://localhost:3001/api/corrections \\
+  -H "Authorization: Bearer <key>" \\
   -H "Content-Type: application/json" \\
   -d '{
     "article_url": "https://example.com/artikel",
@@ -124,7 +392,7 @@ export default function ArticlesList() {
           </div>
         ) : (
           <div className="space-y-4">
-            {sortedArticles.map(article => (
+            {articles.map(article => (
               <div
                 key={article.url}
                 onClick={() => navigate(`/article/${encodeURIComponent(article.url)}`)}
@@ -154,6 +422,27 @@ export default function ArticlesList() {
                         </div>
                       )}
 
+                      {article.latest_run_metrics && (
+                        <span className="text-xs px-2 py-0.5 bg-purple-100 text-purple-800 rounded font-medium">
+                          F1: {article.latest_run_metrics.f1.toFixed(2)}
+                        </span>
+                      )}
+
+                      {article.latest_run_regression && (
+                        <span
+                          className="text-xs px-2 py-0.5 bg-orange-100 text-orange-800 rounded font-medium"
+                          title={`Senaste körningen (Run #${article.latest_run_regression.run_number}) har sämre resultat än Run #${article.latest_run_regression.previous_run_number}`}
+                        >
+                          ⚠️ Regression
+                        </span>
+                      )}
+
+                      {article.latest_run_metrics && sortBy === 'metric' && metric !== 'f1' && (
+                        <span className="text-xs px-2 py-0.5 bg-purple-50 text-purple-700 rounded">
+                          {metricLabels[metric]}: {article.latest_run_metrics[metric].toFixed(2)}
+                        </span>
+                      )}
+
                       <div className="text-gray-400">
                         Skapad: {formatDate(article.first_seen)}
                       </div>
@@ -170,6 +459,28 @@ export default function ArticlesList() {
             ))}
           </div>
         )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-center gap-4 mt-6">
+            <button
+              disabled={currentPage <= 1 || loading}
+              onClick={() => updateParams({ page: currentPage - 1 > 1 ? currentPage - 1 : '' }, false)}
+              className="px-4 py-2 bg-white border border-gray-300 rounded text-sm font-medium hover:bg-gray-50 disabled:opacity-50"
+            >
+              ← Föregående
+            </button>
+            <span className="text-sm text-gray-600">
+              Sida {pagination.currentPage} av {pagination.totalPages}
+            </span>
+            <button
+              disabled={currentPage >= pagination.totalPages || loading}
+              onClick={() => updateParams({ page: currentPage + 1 }, false)}
+              className="px-4 py-2 bg-white border border-gray-300 rounded text-sm font-medium hover:bg-gray-50 disabled:opacity-50"
+            >
+              Nästa →
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
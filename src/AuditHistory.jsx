@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './auth';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const actionLabels = {
+  'correction.created': 'Körning skapad',
+  'correction.deleted': 'Flyttad till papperskorgen',
+  'correction.restored': 'Återställd från papperskorgen',
+  'correction.purged': 'Raderad permanent',
+  'gold.created': 'Gold standard skapad',
+  'gold.updated': 'Gold standard ändrad',
+  'gold.deleted': 'Gold standard borttagen',
+  'review.updated': 'Granskning ändrad',
+  'experiment.run_assigned': 'Kopplad till experiment',
+  'experiment.run_removed': 'Borttagen ur experiment'
+};
+
+const actionColors = {
+  created: 'bg-green-100 text-green-800',
+  deleted: 'bg-red-100 text-red-800',
+  purged: 'bg-red-100 text-red-800',
+  restored: 'bg-green-100 text-green-800',
+  updated: 'bg-blue-100 text-blue-800'
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '–';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.substring(0, 80)}…` : text;
+}
+
+// Run texts and payloads kept in deleted/purged snapshots; too long to list here
+const hiddenFields = [
+  'original_article', 'corrected_article', 'merged_changes', 'original_structured',
+  'corrected_structured', 'unapplied', 'run_metadata', 'id', 'article_url'
+];
+
+// Fields that differ between the before and after snapshots (all fields when one is missing)
+function changedFields(before, after) {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return keys
+    .filter(key => !hiddenFields.includes(key))
+    .filter(key => before?.[key] != null || after?.[key] != null)
+    .filter(key => !['updated_at', 'created_at'].includes(key) || !before || !after)
+    .filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]))
+    .map(key => ({ key, before: before?.[key], after: after?.[key] }));
+}
+
+function describeTarget(entry) {
+  const snapshot = entry.after || entry.before || {};
+  if (entry.target_type === 'correction') {
+    return snapshot.run_number ? `Run #${snapshot.run_number}` : `Körning ${entry.target_id}`;
+  }
+  if (entry.target_type === 'change_review') {
+    return `Ändring ${entry.target_id}`;
+  }
+  if (entry.target_type === 'gold_standard') {
+    return 'Gold standard';
+  }
+  return `${entry.target_type} ${entry.target_id}`;
+}
+
+// Audit log entries for an article or a run, newest first.
+// filters: { article_url } or { correction_id }; refreshKey reloads the list when it changes.
+export default function AuditHistory({ filters, refreshKey }) {
+  const [open, setOpen] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const filtersKey = new URLSearchParams(filters).toString();
+
+  useEffect(() => {
+    if (open) {
+      fetchEntries();
+    }
+  }, [open, filtersKey, page, refreshKey]);
+
+  const fetchEntries = async () => {
+    try {
+      setLoading(true);
+      const response = await apiFetch(`${API_URL}/api/audit?${filtersKey}&page=${page}&pageSize=20`);
+      if (!response.ok) throw new Error('Failed to fetch history');
+      const data = await response.json();
+      setEntries(data.entries);
+      setPagination(data.pagination);
+      setError('');
+    } catch (err) {
+      setError(`Error loading history: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('sv-SE', {
+      timeZone: 'Europe/Stockholm',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 mb-6">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between px-6 py-4 text-left"
+      >
+        <h2 className="text-lg font-semibold text-gray-800">Historik</h2>
+        <span className="text-sm text-blue-600">{open ? 'Dölj ▲' : 'Visa ▼'}</span>
+      </button>
+
+      {open && (
+        <div className="px-6 pb-6">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded p-3 mb-3">
+              <p className="text-red-800 text-sm">{error}</p>
+            </div>
+          )}
+
+          {loading && entries.length === 0 ? (
+            <div className="text-sm text-gray-600">Laddar historik...</div>
+          ) : entries.length === 0 ? (
+            <div className="text-sm text-gray-500">Inga ändringar registrerade.</div>
+          ) : (
+            <ol className="space-y-2">
+              {entries.map(entry => {
+                const verb = entry.action.split('.').pop();
+                const fields = changedFields(entry.before, entry.after);
+                return (
+                  <li key={entry.id} className="border border-gray-100 rounded p-3 text-sm">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className="text-gray-500 font-mono text-xs">{formatDate(entry.created_at)}</span>
+                      <span className={`text-xs px-2 py-0.5 rounded font-medium ${actionColors[verb] || actionColors.updated}`}>
+                        {actionLabels[entry.action] || entry.action}
+                      </span>
+                      <span className="text-gray-800">{describeTarget(entry)}</span>
+                      <span className="text-gray-500">av <span className="font-medium text-gray-700">{entry.actor}</span></span>
+                    </div>
+                    {fields.length > 0 && (
+                      <div className="mt-2 space-y-0.5 text-xs text-gray-600">
+                        {fields.map(field => (
+                          <div key={field.key}>
+                            <span className="text-gray-400">{field.key}:</span>{' '}
+                            <span className="line-through text-red-700">{formatValue(field.before)}</span>
+                            {' → '}
+                            <span className="text-green-700">{formatValue(field.after)}</span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex items-center justify-center gap-4 mt-4 text-sm">
+              <button
+                disabled={page <= 1 || loading}
+                onClick={() => setPage(page - 1)}
+                className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+              >
+                ← Nyare
+              </button>
+              <span className="text-gray-600">Sida {page} av {pagination.totalPages}</span>
+              <button
+                disabled={page >= pagination.totalPages || loading}
+                onClick={() => setPage(page + 1)}
+                className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+              >
+                Äldre →
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,79 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import MergedChangesViewer from './MergedChangesViewer';
+import AuditHistory from './AuditHistory';
+import { apiFetch } from './auth';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// Report formats of GET /api/corrections/:id/export
+const exportFormats = [
+  { format: 'html', label: 'HTML', extension: 'html' },
+  { format: 'md', label: 'Markdown', extension: 'md' },
+  { format: 'critic', label: 'CriticMarkup', extension: 'critic.md' }
+];
+
+// Download an annotated report (word diff and change list) of a correction
+function ExportMenu({ correction }) {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const download = async ({ format, extension }) => {
+    try {
+      setExporting(true);
+      setError('');
+      const response = await apiFetch(`${API_URL}/api/corrections/${correction.id}/export?format=${format}`);
+      if (!response.ok) throw new Error('Failed to export correction');
+      const blob = await response.blob();
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `correction-${correction.id}-run-${correction.run_number}.${extension}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={exporting}
+        className="px-4 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors text-sm font-medium disabled:text-gray-400"
+      >
+        {exporting ? 'Exporterar...' : '⬇ Export'}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-44 bg-white border border-gray-200 rounded shadow-lg z-10">
+          {exportFormats.map(option => (
+            <button
+              key={option.format}
+              onClick={() => download(option)}
+              disabled={exporting}
+              className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {error && <div className="absolute right-0 mt-1 text-xs text-red-600 whitespace-nowrap">{error}</div>}
+    </div>
+  );
+}
+
 export default function CorrectionViewer() {
   const navigate = useNavigate();
   const { id } = useParams();
+  // ?change=<key> highlights a change, e.g. when opened from a search result
+  const [searchParams] = useSearchParams();
+  const highlightChange = searchParams.get('change');
   const [correction, setCorrection] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -22,7 +89,7 @@ export default function CorrectionViewer() {
       setLoading(true);
       setError('');
 
-      const response = await fetch(`${API_URL}/api/corrections/${correctionId}`);
+      const response = await apiFetch(`${API_URL}/api/corrections/${correctionId}`);
       if (!response.ok) throw new Error('Failed to fetch correction');
       const data = await response.json();
       setCorrection(data);
@@ -72,10 +139,27 @@ export default function CorrectionViewer() {
           ← Tillbaka
         </button>
 
+        {correction.deleted_at && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center justify-between">
+            <p className="text-red-800 text-sm">
+              Den här körningen ligger i papperskorgen (borttagen {new Date(correction.deleted_at).toLocaleString('sv-SE', { timeZone: 'Europe/Stockholm' })} av {correction.deleted_by}).
+            </p>
+            <button
+              onClick={() => navigate('/trash')}
+              className="text-sm text-red-700 hover:text-red-900 font-medium"
+            >
+              Till papperskorgen →
+            </button>
+          </div>
+        )}
+
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
-          <h1 className="text-2xl font-bold text-gray-900 mb-2">
-            {title || 'Correction Detail'}
-          </h1>
+          <div className="flex items-start justify-between gap-4">
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+              {title || 'Correction Detail'}
+            </h1>
+            <ExportMenu correction={correction} />
+          </div>
           {correction.article_url && (
             <div className="text-sm text-blue-600 mb-4">
               {correction.article_url}
@@ -85,8 +169,11 @@ export default function CorrectionViewer() {
           {/* Content Comparison */}
           <MergedChangesViewer
             correction={correction}
+            highlightChange={highlightChange}
           />
         </div>
+
+        <AuditHistory filters={{ correction_id: correction.id }} />
       </div>
     </div>
   );
@@ -0,0 +1,34 @@
+import React, { useMemo } from 'react';
+import { refineCharacters } from '../backend/diff.mjs';
+
+// One side of a diff: mode 'original' shows deletions, 'corrected' insertions.
+// Shows the plain text while the operations are computed (operations null).
+// granularity 'char' refines changed words to the characters that changed.
+export default function DiffDisplay({ text, operations, mode, granularity = 'word' }) {
+  const shown = useMemo(() => {
+    if (!operations || granularity !== 'char') return operations;
+    return refineCharacters(operations);
+  }, [operations, granularity]);
+
+  if (!shown) {
+    return <div className="text-sm leading-relaxed whitespace-pre-wrap">{text}</div>;
+  }
+
+  const hidden = mode === 'original' ? 'insert' : 'delete';
+  const marked = mode === 'original'
+    ? 'bg-red-100 text-red-800 line-through'
+    : 'bg-green-100 text-green-800';
+
+  return (
+    <div className="text-sm leading-relaxed whitespace-pre-wrap">
+      {shown.map((op, index) => {
+        if (op.type === hidden) return null;
+        return (
+          <span key={index} className={op.type === 'equal' ? '' : marked}>
+            {op.text}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
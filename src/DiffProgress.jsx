@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Status of a useWordDiff diff: a cancel button while it is computed, and a
+// notice when it fell back to comparing whole paragraphs
+export default function DiffProgress({ diff }) {
+  if (diff.loading) {
+    return (
+      <div className="flex items-center gap-3 bg-blue-50 border border-blue-200 rounded px-3 py-2 mb-3 text-sm text-blue-800">
+        <span>Beräknar diff...</span>
+        <button
+          onClick={diff.cancel}
+          className="text-blue-700 hover:text-blue-900 font-medium underline"
+        >
+          Avbryt och jämför stycken
+        </button>
+      </div>
+    );
+  }
+
+  if (diff.fallback) {
+    return (
+      <div className="bg-yellow-50 border border-yellow-200 rounded px-3 py-2 mb-3 text-sm text-yellow-800">
+        Ordjämförelsen tog för lång tid – skillnaderna visas per stycke.
+      </div>
+    );
+  }
+
+  return null;
+}
@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { apiFetch } from './auth';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const outcomeBadges = {
+  a: { text: 'A vinner', color: 'bg-blue-100 text-blue-800' },
+  b: { text: 'B vinner', color: 'bg-purple-100 text-purple-800' },
+  tie: { text: 'Oavgjort', color: 'bg-gray-100 text-gray-700' }
+};
+
+// Signed delta (B minus A), green when B is higher
+function Delta({ value, higherIsBetter = true }) {
+  if (value === undefined || value === null) return <span className="text-gray-400">–</span>;
+  if (value === 0) return <span className="text-gray-500">±0</span>;
+
+  const better = higherIsBetter ? value > 0 : value < 0;
+  return (
+    <span className={better ? 'text-green-700' : 'text-red-700'}>
+      {value > 0 ? '+' : ''}{Number.isInteger(value) ? value : value.toFixed(2)}
+    </span>
+  );
+}
+
+export default function ExperimentComparison() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const experimentA = searchParams.get('a') || '';
+  const experimentB = searchParams.get('b') || '';
+
+  const [experiments, setExperiments] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [comparing, setComparing] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchExperiments();
+  }, []);
+
+  useEffect(() => {
+    if (experimentA && experimentB) {
+      fetchComparison();
+    } else {
+      setComparison(null);
+    }
+  }, [experimentA, experimentB]);
+
+  const fetchExperiments = async () => {
+    try {
+      setLoading(true);
+      const response = await apiFetch(`${API_URL}/api/experiments`);
+      if (!response.ok) throw new Error('Failed to fetch experiments');
+      const data = await response.json();
+      setExperiments(data);
+
+      // Default to comparing the two most recent experiments
+      if (!experimentA && !experimentB && data.length >= 2) {
+        setSearchParams({ a: data[1].id, b: data[0].id });
+      }
+      setError('');
+    } catch (err) {
+      setError(`Error loading experiments: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchComparison = async () => {
+    try {
+      setComparing(true);
+      const response = await apiFetch(`${API_URL}/api/experiments/compare?a=${experimentA}&b=${experimentB}`);
+      if (!response.ok) throw new Error('Failed to compare experiments');
+      const data = await response.json();
+      setComparison(data);
+      setError('');
+    } catch (err) {
+      setError(`Error comparing experiments: ${err.message}`);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const selectExperiment = (side, id) => {
+    const next = new URLSearchParams(searchParams);
+    if (id) {
+      next.set(side, id);
+    } else {
+      next.delete(side);
+    }
+    setSearchParams(next);
+  };
+
+  const openDiff = (row) => {
+    const columns = `run-${row.a.id},run-${row.b.id}`;
+    navigate(`/article/${encodeURIComponent(row.article_url)}/compare?columns=${columns}`);
+  };
+
+  const formatF1 = (run) => run && run.metrics ? run.metrics.f1.toFixed(2) : '–';
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-gray-600">Laddar experiment...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto p-6">
+        <button
+          onClick={() => navigate('/')}
+          className="mb-4 text-blue-600 hover:text-blue-800 font-medium"
+        >
+          ← Tillbaka till översikt
+        </button>
+
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Experiment</h1>
+          <p className="text-gray-600">
+            Jämför två experiment artikel för artikel: antal ändringar, mätvärden mot gold standard och vinnare
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 text-sm">{error}</p>
+          </div>
+        )}
+
+        {experiments.length < 2 ? (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-8 text-center text-blue-800">
+            Det behövs minst två experiment för en jämförelse. Ange <code>experiment</code> när
+            körningar postas, eller skapa experiment via <code>POST /api/experiments</code>.
+          </div>
+        ) : (
+          <>
+            <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {[['a', 'A', experimentA], ['b', 'B', experimentB]].map(([side, label, value]) => (
+                  <div key={side} className="flex items-center gap-2">
+                    <label className="text-sm font-medium text-gray-700 w-4">{label}:</label>
+                    <select
+                      value={value}
+                      onChange={(e) => selectExperiment(side, e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Välj experiment</option>
+                      {experiments.map(experiment => (
+                        <option key={experiment.id} value={experiment.id}>
+                          {experiment.name} ({experiment.article_count} artiklar)
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {comparing && !comparison && (
+              <div className="text-gray-600 text-center p-8">Jämför experiment...</div>
+            )}
+
+            {comparison && (
+              <>
+                {/* Aggregate outcome */}
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                  <div className="bg-white border border-gray-200 rounded-lg p-4 text-center">
+                    <div className="text-2xl font-bold text-blue-600">{comparison.summary.a_wins}</div>
+                    <div className="text-xs text-gray-600">Vinster A ({comparison.a.name})</div>
+                  </div>
+                  <div className="bg-white border border-gray-200 rounded-lg p-4 text-center">
+                    <div className="text-2xl font-bold text-purple-600">{comparison.summary.b_wins}</div>
+                    <div className="text-xs text-gray-600">Vinster B ({comparison.b.name})</div>
+                  </div>
+                  <div className="bg-white border border-gray-200 rounded-lg p-4 text-center">
+                    <div className="text-2xl font-bold text-gray-700">{comparison.summary.ties}</div>
+                    <div className="text-xs text-gray-600">Oavgjort</div>
+                  </div>
+                  <div className="bg-white border border-gray-200 rounded-lg p-4 text-center">
+                    <div className="text-2xl font-bold text-gray-400">
+                      {comparison.summary.not_scored + comparison.summary.only_a + comparison.summary.only_b}
+                    </div>
+                    <div className="text-xs text-gray-600">Ej jämförbara</div>
+                  </div>
+                  <div className="bg-white border border-gray-200 rounded-lg p-4 text-center">
+                    <div className="text-lg font-bold text-gray-900">
+                      {comparison.summary.mean_f1_a !== null
+                        ? `${comparison.summary.mean_f1_a.toFixed(2)} → ${comparison.summary.mean_f1_b.toFixed(2)}`
+                        : '–'}
+                    </div>
+                    <div className="text-xs text-gray-600">Medel-F1 A → B</div>
+                  </div>
+                </div>
+
+                <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50 border-b border-gray-200 text-left text-gray-700">
+                      <tr>
+                        <th className="px-4 py-3 font-medium">Artikel</th>
+                        <th className="px-4 py-3 font-medium text-right">Ändringar A / B</th>
+                        <th className="px-4 py-3 font-medium text-right">F1 A / B</th>
+                        <th className="px-4 py-3 font-medium text-right">Δ F1</th>
+                        <th className="px-4 py-3 font-medium text-right">Δ Precision</th>
+                        <th className="px-4 py-3 font-medium text-right">Δ Recall</th>
+                        <th className="px-4 py-3 font-medium text-right">Δ Likhet</th>
+                        <th className="px-4 py-3 font-medium">Resultat</th>
+                        <th className="px-4 py-3"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.articles.map(row => {
+                        const badge = outcomeBadges[row.outcome];
+                        return (
+                          <tr key={row.article_url} className="border-b border-gray-100 last:border-0 hover:bg-gray-50">
+                            <td className="px-4 py-3">
+                              <button
+                                onClick={() => navigate(`/article/${encodeURIComponent(row.article_url)}`)}
+                                className="font-medium text-gray-900 hover:text-blue-700 text-left"
+                              >
+                                {row.title || row.article_url}
+                              </button>
+                            </td>
+                            <td className="px-4 py-3 text-right whitespace-nowrap">
+                              {row.a ? row.a.change_count : '–'} / {row.b ? row.b.change_count : '–'}
+                              {row.deltas && (
+                                <span className="ml-1 text-xs">
+                                  (<Delta value={row.deltas.change_count} higherIsBetter={false} />)
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-4 py-3 text-right whitespace-nowrap font-mono">
+                              {formatF1(row.a)} / {formatF1(row.b)}
+                            </td>
+                            <td className="px-4 py-3 text-right"><Delta value={row.deltas?.f1} /></td>
+                            <td className="px-4 py-3 text-right"><Delta value={row.deltas?.precision} /></td>
+                            <td className="px-4 py-3 text-right"><Delta value={row.deltas?.recall} /></td>
+                            <td className="px-4 py-3 text-right"><Delta value={row.deltas?.similarity} /></td>
+                            <td className="px-4 py-3">
+                              {badge ? (
+                                <span className={`px-2 py-0.5 rounded text-xs font-medium ${badge.color}`}>
+                                  {badge.text}
+                                </span>
+                              ) : (
+                                <span className="text-xs text-gray-500">
+                                  {!row.a ? 'Bara B' : !row.b ? 'Bara A' : 'Ingen gold'}
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-4 py-3 text-right">
+                              {row.a && row.b && (
+                                <button
+                                  onClick={() => openDiff(row)}
+                                  className="text-blue-600 hover:text-blue-800 font-medium whitespace-nowrap"
+                                >
+                                  Diff →
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
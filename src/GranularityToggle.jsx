@@ -0,0 +1,30 @@
+import React from 'react';
+
+const options = [
+  { value: 'word', label: 'Ord' },
+  { value: 'char', label: 'Tecken' }
+];
+
+// Switch a diff between whole changed words and the exact changed characters
+export default function GranularityToggle({ value, onChange }) {
+  return (
+    <div className="inline-flex items-center gap-2 text-sm">
+      <span className="text-gray-600">Visa skillnader per</span>
+      <div className="inline-flex border border-gray-300 rounded overflow-hidden">
+        {options.map(option => (
+          <button
+            key={option.value}
+            onClick={() => onChange(option.value)}
+            className={`px-3 py-1 text-sm font-medium transition-colors ${
+              value === option.value
+                ? 'bg-blue-600 text-white'
+                : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
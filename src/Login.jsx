@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { login } from './auth';
+
+export default function Login({ onLogin }) {
+  const [apiKey, setApiKey] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!apiKey.trim()) return;
+
+    try {
+      setSubmitting(true);
+      const session = await login(apiKey.trim());
+      if (!session) {
+        setError('Ogiltig eller återkallad API-nyckel');
+        return;
+      }
+      onLogin(session);
+    } catch (err) {
+      setError(`Kunde inte logga in: ${err.message}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 w-full max-w-md"
+      >
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Correction Viewer</h1>
+        <p className="text-sm text-gray-600 mb-6">
+          Logga in med din API-nyckel. Nycklar skapas av en administratör.
+        </p>
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">API-nyckel</label>
+        <input
+          type="password"
+          value={apiKey}
+          onChange={(e) => {
+            setApiKey(e.target.value);
+            setError('');
+          }}
+          placeholder="cvk_..."
+          autoFocus
+          className="w-full px-3 py-2 border border-gray-300 rounded text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4"
+        />
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded p-3 mb-4">
+            <p className="text-red-800 text-sm">{error}</p>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitting || !apiKey.trim()}
+          className="w-full px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors text-sm font-medium disabled:opacity-50"
+        >
+          {submitting ? 'Loggar in...' : 'Logga in'}
+        </button>
+      </form>
+    </div>
+  );
+}
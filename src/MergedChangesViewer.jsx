@@ -1,146 +1,95 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { apiFetch, can, useSession } from './auth';
+import { useWordDiffs } from './useWordDiff';
+import DiffProgress from './DiffProgress';
+import GranularityToggle from './GranularityToggle';
+import DiffDisplay from './DiffDisplay';
+import { diffStats, myersDiff, tokenizeParagraphs } from '../backend/diff.mjs';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const reviewOptions = {
+  accepted: { text: 'Godkänd', color: 'bg-green-600 text-white', idle: 'bg-white text-green-700 border-green-300 hover:bg-green-50' },
+  rejected: { text: 'Avvisad', color: 'bg-red-600 text-white', idle: 'bg-white text-red-700 border-red-300 hover:bg-red-50' },
+  needs_discussion: { text: 'Diskutera', color: 'bg-orange-500 text-white', idle: 'bg-white text-orange-700 border-orange-300 hover:bg-orange-50' }
+};
 
 /**
  * MergedChangesViewer - Component for displaying v2 schema corrections
  * Shows original and corrected text directly from JSON data
+ * (structured payloads arrive flattened, with their unapplied patches alongside)
  */
 
-// Myers diff algorithm for computing word-level diffs
-function computeWordDiff(text1, text2) {
-  const tokenize = (text) => {
-    if (!text) return [];
-    return text.split(/(\s+|[.,!?;:"()–—\-\[\]{}])/).filter(token => token.length > 0);
-  };
-
-  const tokens1 = tokenize(text1);
-  const tokens2 = tokenize(text2);
-
-  return myersDiff(tokens1, tokens2);
-}
-
-function myersDiff(a, b) {
-  const N = a.length;
-  const M = b.length;
-  const MAX = N + M;
-  const v = {};
-  const trace = [];
-
-  v[1] = 0;
-
-  for (let d = 0; d <= MAX; d++) {
-    trace.push({ ...v });
-
-    for (let k = -d; k <= d; k += 2) {
-      let x;
-      if (k === -d || (k !== d && v[k - 1] < v[k + 1])) {
-        x = v[k + 1];
-      } else {
-        x = v[k - 1] + 1;
-      }
-
-      let y = x - k;
-
-      while (x < N && y < M && a[x] === b[y]) {
-        x++;
-        y++;
-      }
-
-      v[k] = x;
-
-      if (x >= N && y >= M) {
-        return buildPath(a, b, trace, d);
-      }
-    }
-  }
-
-  return [];
-}
-
-function buildPath(a, b, trace, d) {
-  const operations = [];
-  let x = a.length;
-  let y = b.length;
-
-  for (let D = d; D >= 0; D--) {
-    const v = trace[D];
-    const k = x - y;
-
-    let prevK;
-    if (k === -D || (k !== D && v[k - 1] < v[k + 1])) {
-      prevK = k + 1;
-    } else {
-      prevK = k - 1;
-    }
-
-    const prevX = v[prevK];
-    const prevY = prevX - prevK;
-
-    while (x > prevX && y > prevY) {
-      operations.unshift({ type: 'equal', text: a[x - 1] });
-      x--;
-      y--;
-    }
-
-    if (D > 0) {
-      if (x > prevX) {
-        operations.unshift({ type: 'delete', text: a[x - 1] });
-        x--;
-      } else {
-        operations.unshift({ type: 'insert', text: b[y - 1] });
-        y--;
-      }
+// Review controls for a single change
+function ReviewControls({ review, reviewer, onReview }) {
+  const [comment, setComment] = useState(review?.comment || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setComment(review?.comment || '');
+  }, [review]);
+
+  const submit = async (status) => {
+    try {
+      setSaving(true);
+      setError('');
+      await onReview(status, comment);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
     }
-  }
-
-  return operations;
-}
+  };
 
-// Render diff operations
-function DiffDisplay({ operations, mode }) {
-  if (mode === 'original') {
-    // Show deletions (what was removed from original)
-    return (
-      <div className="text-sm leading-relaxed whitespace-pre-wrap">
-        {operations.map((op, index) => {
-          if (op.type === 'equal' || op.type === 'delete') {
-            return (
-              <span
-                key={index}
-                className={op.type === 'delete' ? 'bg-red-100 text-red-800 line-through' : ''}
-              >
-                {op.text}
-              </span>
-            );
-          }
-          return null;
-        })}
-      </div>
-    );
-  } else {
-    // Show insertions (what was added in corrected)
-    return (
-      <div className="text-sm leading-relaxed whitespace-pre-wrap">
-        {operations.map((op, index) => {
-          if (op.type === 'equal' || op.type === 'insert') {
-            return (
-              <span
-                key={index}
-                className={op.type === 'insert' ? 'bg-green-100 text-green-800' : ''}
-              >
-                {op.text}
-              </span>
-            );
-          }
-          return null;
-        })}
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-200">
+      <div className="flex flex-wrap items-center gap-2">
+        {Object.entries(reviewOptions).map(([status, option]) => (
+          <button
+            key={status}
+            disabled={saving}
+            onClick={() => submit(review?.status === status ? 'pending' : status)}
+            className={`px-3 py-1 rounded border text-xs font-medium transition-colors disabled:opacity-50 ${
+              review?.status === status ? option.color : option.idle
+            }`}
+          >
+            {option.text}
+          </button>
+        ))}
+        <input
+          type="text"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          onBlur={() => {
+            if (review && comment !== (review.comment || '')) submit(review.status);
+          }}
+          placeholder="Kommentar (valfri)"
+          className="flex-1 min-w-[12rem] border border-gray-300 rounded px-2 py-1 text-xs"
+        />
       </div>
-    );
-  }
+      {review && (
+        <div className="mt-1 text-xs text-gray-500">
+          {review.reviewer || reviewer || 'Okänd'} · {new Date(review.updated_at).toLocaleString('sv-SE', { timeZone: 'Europe/Stockholm' })}
+        </div>
+      )}
+      {error && (
+        <div className="mt-1 text-xs text-red-600">{error}</div>
+      )}
+    </div>
+  );
 }
 
 // Component to display a single change
-function ChangeItem({ change, index }) {
+function ChangeItem({ change, index, reviewer, onReview, highlighted }) {
   const [expanded, setExpanded] = useState(false);
+  const itemRef = useRef(null);
+
+  useEffect(() => {
+    if (highlighted && itemRef.current) {
+      itemRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [highlighted]);
 
   const severityColors = {
     major: 'bg-red-50 border-red-200',
@@ -156,7 +105,12 @@ function ChangeItem({ change, index }) {
   const severityColor = severityColors[change.severity] || severityColors.minor;
 
   return (
-    <div className={`border rounded-lg p-4 ${severityColor} hover:shadow-md transition-shadow`}>
+    <div
+      ref={itemRef}
+      className={`border rounded-lg p-4 ${severityColor} hover:shadow-md transition-shadow ${
+        highlighted ? 'ring-2 ring-yellow-400 ring-offset-2' : ''
+      }`}
+    >
       <div className="flex items-start justify-between">
         <div className="flex-1">
           {/* Header */}
@@ -262,18 +216,195 @@ function ChangeItem({ change, index }) {
               ))}
             </div>
           )}
+
+          {onReview && (
+            <ReviewControls review={change.review} reviewer={reviewer} onReview={onReview} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const sectionNames = {
+  title: 'Rubrik',
+  lead: 'Ingress',
+  body: 'Stycke',
+  captions: 'Bildtext'
+};
+
+// Section ids of a flat run's paragraphs. Flat texts are laid out like
+// flattened structured ones: title, lead, body paragraphs, then captions.
+// Captions cannot be told apart from body paragraphs in the text, so the
+// trailing paragraphs up to the highest captions[i] in merged_changes are taken
+// as captions.
+function flatSectionIds(count, mergedChanges) {
+  const captionCount = (mergedChanges || []).reduce((max, change) => {
+    const match = /^captions\[(\d+)\]$/.exec(change.section_id || '');
+    return match ? Math.max(max, parseInt(match[1], 10) + 1) : max;
+  }, 0);
+  const bodyCount = Math.max(0, count - 2 - captionCount);
+
+  return Array.from({ length: count }, (_, index) => {
+    if (index === 0) return 'title';
+    if (index === 1) return 'lead';
+    if (index < 2 + bodyCount) return `body[${index - 2}]`;
+    return `captions[${index - 2 - bodyCount}]`;
+  });
+}
+
+// A flat run's text as paragraphs: the lines of tokenizeParagraphs, without
+// the line breaks between them and blank lines
+function flatParagraphs(text) {
+  return tokenizeParagraphs(text).filter(token => token.trim());
+}
+
+// Pair a flat run's original and corrected paragraphs with a paragraph diff
+// (like paragraphDiff, but without the line breaks, which would otherwise be
+// matched instead of the paragraphs): unchanged paragraphs share a row, and
+// each stretch of changed paragraphs pairs its deleted and inserted ones in
+// order. Returns [{ original, corrected }] paragraph indexes, null on the side
+// a paragraph is missing from.
+function alignParagraphs(originals, correcteds) {
+  const rows = [];
+  let deleted = [];
+  let inserted = [];
+  let originalIndex = 0;
+  let correctedIndex = 0;
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(deleted.length, inserted.length); i++) {
+      rows.push({ original: deleted[i] ?? null, corrected: inserted[i] ?? null });
+    }
+    deleted = [];
+    inserted = [];
+  };
+
+  for (const op of myersDiff(originals, correcteds)) {
+    if (op.type === 'equal') {
+      flush();
+      rows.push({ original: originalIndex++, corrected: correctedIndex++ });
+    } else if (op.type === 'delete') {
+      deleted.push(originalIndex++);
+    } else {
+      inserted.push(correctedIndex++);
+    }
+  }
+  flush();
+  return rows;
+}
+
+// The article as [{ key, id, original, corrected }] sections, aligned by section_id.
+// Structured runs use their title, lead, body[i] and captions[i]; flat runs
+// are split into paragraphs, aligned with alignParagraphs and named with the
+// same ids (see flatSectionIds). A paragraph only in the corrected text is
+// named by its position there.
+function articleSections(correction) {
+  const { original_structured: original, corrected_structured: corrected } = correction;
+  const sections = [];
+
+  if (original && corrected) {
+    ['title', 'lead'].forEach(id => {
+      if (original[id] || corrected[id]) {
+        sections.push({ key: id, id, original: original[id] || '', corrected: corrected[id] || '' });
+      }
+    });
+    ['body', 'captions'].forEach(field => {
+      const originals = original[field] || [];
+      const correcteds = corrected[field] || [];
+      for (let i = 0; i < Math.max(originals.length, correcteds.length); i++) {
+        const id = `${field}[${i}]`;
+        sections.push({ key: id, id, original: originals[i] || '', corrected: correcteds[i] || '' });
+      }
+    });
+    return sections;
+  }
+
+  const originals = flatParagraphs(correction.original_article);
+  const correcteds = flatParagraphs(correction.corrected_article);
+  const originalIds = flatSectionIds(originals.length, correction.merged_changes);
+  const correctedIds = flatSectionIds(correcteds.length, correction.merged_changes);
+
+  alignParagraphs(originals, correcteds).forEach(row => {
+    sections.push({
+      key: `${row.original}-${row.corrected}`,
+      id: row.original !== null ? originalIds[row.original] : correctedIds[row.corrected],
+      original: row.original !== null ? originals[row.original] : '',
+      corrected: row.corrected !== null ? correcteds[row.corrected] : ''
+    });
+  });
+  return sections;
+}
+
+// "body[2]" -> "Stycke 3"
+function sectionLabel(id) {
+  const match = /^(\w+)\[(\d+)\]$/.exec(id);
+  if (!match) return sectionNames[id] || id;
+  return `${sectionNames[match[1]] || match[1]} ${parseInt(match[2], 10) + 1}`;
+}
+
+// One row of the section diff: label and counts, then original and corrected side by side.
+// changeCount is null while the diff is computed.
+function SectionRow({ section, operations, granularity, changeCount, suggestionCount }) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-[9rem_1fr_1fr] gap-4 py-3">
+      <div className="text-xs">
+        <div className="font-semibold text-gray-700">
+          {sectionLabel(section.id)}{!section.original && section.corrected && ' (ny)'}
         </div>
+        {changeCount !== null && (
+          <div className={changeCount > 0 ? 'text-blue-700' : 'text-gray-400'}>
+            {changeCount === 0 ? 'Oförändrad' : `${changeCount} ${changeCount === 1 ? 'ändring' : 'ändringar'}`}
+          </div>
+        )}
+        {suggestionCount > 0 && (
+          <div className="text-gray-500">{suggestionCount} agentförslag</div>
+        )}
       </div>
+      <DiffDisplay text={section.original} operations={operations} mode="original" granularity={granularity} />
+      <DiffDisplay text={section.corrected} operations={operations} mode="corrected" granularity={granularity} />
     </div>
   );
 }
 
 // Main component
-export default function MergedChangesViewer({ correction }) {
-  const { merged_changes, original_article, corrected_article } = correction;
+export default function MergedChangesViewer({ correction, highlightChange }) {
+  const canReview = can(useSession(), 'review');
 
   const [filterStatus, setFilterStatus] = useState('all');
   const [filterSeverity, setFilterSeverity] = useState('all');
+  const [filterReview, setFilterReview] = useState('all');
+  const [reviewer, setReviewer] = useState(() => localStorage.getItem('reviewerName') || '');
+
+  // Keep a local copy so review decisions update without refetching the correction
+  const [merged_changes, setMergedChanges] = useState(correction.merged_changes);
+
+  useEffect(() => {
+    setMergedChanges(correction.merged_changes);
+  }, [correction]);
+
+  useEffect(() => {
+    localStorage.setItem('reviewerName', reviewer);
+  }, [reviewer]);
+
+  const saveReview = async (change, status, comment) => {
+    const response = await apiFetch(
+      `${API_URL}/api/corrections/${correction.id}/changes/${encodeURIComponent(change.change_key)}`,
+      {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status, comment, reviewer })
+      }
+    );
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Kunde inte spara granskning');
+    }
+    const data = await response.json();
+    setMergedChanges(changes => changes.map(c =>
+      c.change_key === change.change_key ? { ...c, review: data.review } : c
+    ));
+  };
 
   // Get statistics
   const stats = useMemo(() => {
@@ -295,7 +426,14 @@ export default function MergedChangesViewer({ correction }) {
       }
     });
 
-    return { total, multiAgent, singleAgent, major, minor, byCategory };
+    // Review progress
+    const reviewed = merged_changes.filter(c => c.review).length;
+    const byReview = {};
+    Object.keys(reviewOptions).forEach(status => {
+      byReview[status] = merged_changes.filter(c => c.review?.status === status).length;
+    });
+
+    return { total, multiAgent, singleAgent, major, minor, byCategory, reviewed, byReview };
   }, [merged_changes]);
 
   // Filter changes
@@ -305,9 +443,33 @@ export default function MergedChangesViewer({ correction }) {
     return merged_changes.filter(change => {
       if (filterStatus !== 'all' && change.status !== filterStatus) return false;
       if (filterSeverity !== 'all' && change.severity !== filterSeverity) return false;
+      if (filterReview !== 'all' && (change.review?.status || 'pending') !== filterReview) return false;
       return true;
     });
-  }, [merged_changes, filterStatus, filterSeverity]);
+  }, [merged_changes, filterStatus, filterSeverity, filterReview]);
+
+  // Each section is diffed on its own so changes stay aligned with their paragraph
+  const sections = useMemo(() => articleSections(correction), [correction]);
+  const sectionPairs = useMemo(
+    () => sections.map(section => [section.original, section.corrected]),
+    [sections]
+  );
+  const diff = useWordDiffs(sectionPairs, Boolean(merged_changes && merged_changes.length));
+  const [granularity, setGranularity] = useState('word');
+  const [onlyChanged, setOnlyChanged] = useState(false);
+
+  const sectionRows = useMemo(() => sections.map((section, index) => ({
+    section,
+    operations: diff.operations ? diff.operations[index] : null,
+    changeCount: diff.operations ? diffStats(diff.operations[index]).changes : null,
+    // Suggestions point into the original, so paragraphs only in the corrected text have none
+    suggestionCount: section.original
+      ? (merged_changes || []).filter(change => change.section_id === section.id).length
+      : 0
+  })), [sections, diff.operations, merged_changes]);
+  const visibleRows = onlyChanged
+    ? sectionRows.filter(row => row.changeCount !== 0)
+    : sectionRows;
 
   if (!merged_changes || merged_changes.length === 0) {
     return (
@@ -317,15 +479,6 @@ export default function MergedChangesViewer({ correction }) {
     );
   }
 
-  // Use strings directly - no transformations
-  const originalText = original_article || '';
-  const correctedText = corrected_article || '';
-
-  // Compute diff between original and corrected for highlighting
-  const diffOperations = useMemo(() => {
-    return computeWordDiff(originalText, correctedText);
-  }, [originalText, correctedText]);
-
   return (
     <div className="space-y-6">
       {/* Statistics */}
@@ -351,6 +504,26 @@ export default function MergedChangesViewer({ correction }) {
             </div>
           </div>
 
+          {/* Review progress */}
+          <div className="mt-4 pt-4 border-t border-gray-200">
+            <div className="flex items-center justify-between text-sm mb-2">
+              <span className="font-medium">Granskning:</span>
+              <span className="text-gray-600">
+                {stats.reviewed} av {stats.total} granskade
+              </span>
+            </div>
+            <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden flex">
+              <div className="bg-green-500" style={{ width: `${(stats.byReview.accepted / stats.total) * 100}%` }} />
+              <div className="bg-red-500" style={{ width: `${(stats.byReview.rejected / stats.total) * 100}%` }} />
+              <div className="bg-orange-400" style={{ width: `${(stats.byReview.needs_discussion / stats.total) * 100}%` }} />
+            </div>
+            <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+              {Object.entries(reviewOptions).map(([status, option]) => (
+                <span key={status}>{option.text}: {stats.byReview[status]}</span>
+              ))}
+            </div>
+          </div>
+
           {/* Category breakdown */}
           {Object.keys(stats.byCategory).length > 0 && (
             <div className="mt-4 pt-4 border-t border-gray-200">
@@ -394,35 +567,65 @@ export default function MergedChangesViewer({ correction }) {
               <option value="minor">Minor</option>
             </select>
           </div>
+          <div>
+            <label className="text-sm font-medium text-gray-700 mr-2">Granskning:</label>
+            <select
+              value={filterReview}
+              onChange={(e) => setFilterReview(e.target.value)}
+              className="border border-gray-300 rounded px-3 py-1 text-sm"
+            >
+              <option value="all">Alla</option>
+              <option value="pending">Ej granskad</option>
+              <option value="accepted">Godkänd</option>
+              <option value="rejected">Avvisad</option>
+              <option value="needs_discussion">Diskutera</option>
+            </select>
+          </div>
+          {canReview && (
+            <div className="ml-auto">
+              <label className="text-sm font-medium text-gray-700 mr-2">Granskare:</label>
+              <input
+                type="text"
+                value={reviewer}
+                onChange={(e) => setReviewer(e.target.value)}
+                placeholder="Ditt namn"
+                className="border border-gray-300 rounded px-3 py-1 text-sm"
+              />
+            </div>
+          )}
         </div>
       </div>
 
-      {/* Side-by-side comparison */}
+      {/* Section-by-section comparison */}
       <div className="bg-white rounded-lg border border-gray-200 p-6">
-        <h3 className="text-lg font-semibold mb-4">Text jämförelse</h3>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          {/* Original */}
-          <div className="border border-gray-300 rounded-lg overflow-hidden">
-            <div className="bg-red-50 border-b border-red-200 px-4 py-2">
-              <h4 className="font-semibold text-red-900 text-sm">Original</h4>
-            </div>
-            <div className="p-4 bg-white max-h-96 overflow-y-auto">
-              <div className="prose prose-sm max-w-none">
-                <DiffDisplay operations={diffOperations} mode="original" />
-              </div>
-            </div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h3 className="text-lg font-semibold">Text jämförelse</h3>
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={onlyChanged}
+                onChange={(e) => setOnlyChanged(e.target.checked)}
+              />
+              Visa bara ändrade sektioner
+            </label>
+            <GranularityToggle value={granularity} onChange={setGranularity} />
           </div>
-
-          {/* Corrected */}
-          <div className="border border-gray-300 rounded-lg overflow-hidden">
-            <div className="bg-green-50 border-b border-green-200 px-4 py-2">
-              <h4 className="font-semibold text-green-900 text-sm">Korrigerad</h4>
-            </div>
-            <div className="p-4 bg-white max-h-96 overflow-y-auto">
-              <div className="prose prose-sm max-w-none">
-                <DiffDisplay operations={diffOperations} mode="corrected" />
-              </div>
-            </div>
+        </div>
+        <DiffProgress diff={diff} />
+        <div className="border border-gray-300 rounded-lg overflow-hidden">
+          <div className="hidden md:grid grid-cols-[9rem_1fr_1fr] gap-4 px-4 py-2 bg-gray-50 border-b border-gray-300 text-sm font-semibold">
+            <div className="text-gray-700">Sektion</div>
+            <div className="text-red-900">Original</div>
+            <div className="text-green-900">Korrigerad</div>
+          </div>
+          <div className="divide-y divide-gray-200 px-4 max-h-[70vh] overflow-y-auto">
+            {visibleRows.map(row => (
+              <SectionRow key={row.section.key} {...row} granularity={granularity} />
+            ))}
+            {visibleRows.length === 0 && (
+              <div className="py-6 text-center text-sm text-gray-500">Inga sektioner har ändrats</div>
+            )}
           </div>
         </div>
       </div>
@@ -433,9 +636,52 @@ export default function MergedChangesViewer({ correction }) {
           Ändringar ({filteredChanges.length})
         </h3>
         {filteredChanges.map((change, idx) => (
-          <ChangeItem key={change.id || idx} change={change} index={idx} />
+          <ChangeItem
+            key={change.change_key || idx}
+            change={change}
+            index={idx}
+            reviewer={reviewer}
+            highlighted={highlightChange !== undefined && highlightChange !== null && change.change_key === highlightChange}
+            onReview={canReview && change.change_key !== undefined
+              ? (status, comment) => saveReview(change, status, comment)
+              : null}
+          />
         ))}
       </div>
+
+      {/* Unapplied patches (structured schema only) */}
+      {correction.unapplied && correction.unapplied.length > 0 && (
+        <div className="space-y-3">
+          <h3 className="text-lg font-semibold">
+            Ej tillämpade förslag ({correction.unapplied.length})
+          </h3>
+          {correction.unapplied.map((patch, idx) => (
+            <div key={idx} className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+              <div className="flex items-center gap-2 mb-1">
+                {patch.agent && (
+                  <span className="px-2 py-0.5 rounded text-xs bg-gray-200 text-gray-700">{patch.agent}</span>
+                )}
+                {patch.path && (
+                  <span className="text-xs text-gray-500">Position: {patch.path}</span>
+                )}
+              </div>
+              {(patch.before || patch.after) && (
+                <div className="flex items-baseline gap-2">
+                  <span className="text-sm text-red-600 line-through font-mono">{patch.before}</span>
+                  <span className="text-gray-400">→</span>
+                  <span className="text-sm text-green-600 font-mono">{patch.after}</span>
+                </div>
+              )}
+              {patch.reason && (
+                <div className="mt-1 text-sm text-gray-700">
+                  <span className="font-medium">Orsak: </span>
+                  {patch.reason}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -1,174 +1,63 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { apiFetch } from './auth';
+import useWordDiff from './useWordDiff';
+import DiffProgress from './DiffProgress';
+import GranularityToggle from './GranularityToggle';
+import DiffDisplay from './DiffDisplay';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
-// Myers diff algorithm
-function computeWordDiff(text1, text2) {
-  const tokenize = (text) => {
-    if (!text) return [];
-    return text.split(/(\s+|[.,!?;:"()–—\-\[\]{}])/).filter(token => token.length > 0);
-  };
-
-  const tokens1 = tokenize(text1);
-  const tokens2 = tokenize(text2);
-  return myersDiff(tokens1, tokens2);
-}
-
-function myersDiff(a, b) {
-  const N = a.length;
-  const M = b.length;
-  const MAX = N + M;
-  const v = {};
-  const trace = [];
-  v[1] = 0;
-
-  for (let d = 0; d <= MAX; d++) {
-    trace.push({ ...v });
-    for (let k = -d; k <= d; k += 2) {
-      let x;
-      if (k === -d || (k !== d && v[k - 1] < v[k + 1])) {
-        x = v[k + 1];
-      } else {
-        x = v[k - 1] + 1;
-      }
-      let y = x - k;
-      while (x < N && y < M && a[x] === b[y]) {
-        x++;
-        y++;
-      }
-      v[k] = x;
-      if (x >= N && y >= M) {
-        return buildPath(a, b, trace, d);
-      }
-    }
-  }
-  return [];
-}
-
-function buildPath(a, b, trace, d) {
-  const operations = [];
-  let x = a.length;
-  let y = b.length;
-
-  for (let D = d; D >= 0; D--) {
-    const v = trace[D];
-    const k = x - y;
-    let prevK;
-    if (k === -D || (k !== D && v[k - 1] < v[k + 1])) {
-      prevK = k + 1;
-    } else {
-      prevK = k - 1;
-    }
-    const prevX = v[prevK];
-    const prevY = prevX - prevK;
-
-    while (x > prevX && y > prevY) {
-      operations.unshift({ type: 'equal', text: a[x - 1] });
-      x--;
-      y--;
-    }
-    if (D > 0) {
-      if (x > prevX) {
-        operations.unshift({ type: 'delete', text: a[x - 1] });
-        x--;
-      } else {
-        operations.unshift({ type: 'insert', text: b[y - 1] });
-        y--;
-      }
-    }
-  }
-  return operations;
-}
-
-// Diff display component
-function DiffText({ text, operations, mode }) {
-  if (!operations) {
-    return <div className="text-sm leading-relaxed whitespace-pre-wrap">{text}</div>;
-  }
-
-  if (mode === 'original') {
-    return (
-      <div className="text-sm leading-relaxed whitespace-pre-wrap">
-        {operations.map((op, index) => {
-          if (op.type === 'equal' || op.type === 'delete') {
-            return (
-              <span
-                key={index}
-                className={op.type === 'delete' ? 'bg-red-100 text-red-800 line-through' : ''}
-              >
-                {op.text}
-              </span>
-            );
-          }
-          return null;
-        })}
-      </div>
-    );
-  } else if (mode === 'modified') {
-    return (
-      <div className="text-sm leading-relaxed whitespace-pre-wrap">
-        {operations.map((op, index) => {
-          if (op.type === 'equal' || op.type === 'insert') {
-            return (
-              <span
-                key={index}
-                className={op.type === 'insert' ? 'bg-green-100 text-green-800' : ''}
-              >
-                {op.text}
-              </span>
-            );
-          }
-          return null;
-        })}
-      </div>
-    );
-  }
-
-  return <div className="text-sm leading-relaxed whitespace-pre-wrap">{text}</div>;
-}
-
 // Text comparison component
 function TextComparison({ versions, selectedVersionIds }) {
-  const selectedVersions = selectedVersionIds
+  const selectedVersions = useMemo(() => selectedVersionIds
     .map(id => versions.find(v => v.id === id))
-    .filter(Boolean);
+    .filter(Boolean), [versions, selectedVersionIds]);
+
+  // Diff only when exactly 2 versions are selected; recomputed only when their texts change
+  const comparing = selectedVersions.length === 2;
+  const diff = useWordDiff(
+    comparing ? selectedVersions[0].text || '' : '',
+    comparing ? selectedVersions[1].text || '' : '',
+    comparing
+  );
+  const operations = comparing ? diff.operations : null;
+  const [granularity, setGranularity] = useState('word');
 
   if (selectedVersions.length === 0) return null;
 
-  // Compute diff if exactly 2 versions
-  let operations = null;
-  if (selectedVersions.length === 2) {
-    operations = computeWordDiff(
-      selectedVersions[0].text || '',
-      selectedVersions[1].text || ''
-    );
-  }
-
   return (
-    <div
-      className="grid gap-4"
-      style={{ gridTemplateColumns: `repeat(${selectedVersions.length}, 1fr)` }}
-    >
-      {selectedVersions.map((version, index) => {
-        let displayMode = 'plain';
-        let ops = null;
-
-        if (operations && selectedVersions.length === 2) {
-          displayMode = index === 0 ? 'original' : 'modified';
-          ops = operations;
-        }
-
-        return (
-          <div key={version.id} className="bg-white p-4 rounded border border-gray-200 max-h-[600px] overflow-y-auto">
-            <div className="text-xs font-medium mb-2 text-gray-600">
-              {version.label}
+    <>
+      {comparing && (
+        <div className="flex justify-end mb-3">
+          <GranularityToggle value={granularity} onChange={setGranularity} />
+        </div>
+      )}
+      {comparing && <DiffProgress diff={diff} />}
+      <div
+        className="grid gap-4"
+        style={{ gridTemplateColumns: `repeat(${selectedVersions.length}, 1fr)` }}
+      >
+        {selectedVersions.map((version, index) => {
+          let displayMode = 'plain';
+          let ops = null;
+
+          if (operations && selectedVersions.length === 2) {
+            displayMode = index === 0 ? 'original' : 'corrected';
+            ops = operations;
+          }
+
+          return (
+            <div key={version.id} className="bg-white p-4 rounded border border-gray-200 max-h-[600px] overflow-y-auto">
+              <div className="text-xs font-medium mb-2 text-gray-600">
+                {version.label}
+              </div>
+              <DiffDisplay text={version.text} operations={ops} mode={displayMode} granularity={granularity} />
             </div>
-            <DiffText text={version.text} operations={ops} mode={displayMode} />
-          </div>
-        );
-      })}
-    </div>
+          );
+        })}
+      </div>
+    </>
   );
 }
 
@@ -181,7 +70,9 @@ export default function MultiRunComparison() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
-  // Column selections (array of version IDs)
+  // Column selections (array of version IDs); ?columns=run-12,run-34 preselects them
+  const [searchParams] = useSearchParams();
+  const requestedColumns = (searchParams.get('columns') || '').split(',').filter(Boolean);
   const [columns, setColumns] = useState(['original', 'gold']);
 
   useEffect(() => {
@@ -191,24 +82,48 @@ export default function MultiRunComparison() {
   const fetchArticle = async () => {
     try {
       setLoading(true);
-      const response = await fetch(`${API_URL}/api/articles/${encodeURIComponent(decodedUrl)}`);
+      const response = await apiFetch(`${API_URL}/api/articles/${encodeURIComponent(decodedUrl)}`);
       if (!response.ok) throw new Error('Failed to fetch article');
       const data = await response.json();
 
       // Fetch full run details for all runs
       if (data.runs && data.runs.length > 0) {
         const runDetailsPromises = data.runs.map(run =>
-          fetch(`${API_URL}/api/runs/${run.id}`).then(res => res.json())
+          apiFetch(`${API_URL}/api/runs/${run.id}`).then(res => res.json())
         );
         const fullRuns = await Promise.all(runDetailsPromises);
         data.runs = fullRuns;
       }
 
+      // Requested runs may be older than the first page of runs
+      const loadedIds = (data.runs || []).map(run => `run-${run.id}`);
+      const missingRuns = requestedColumns.filter(id => id.startsWith('run-') && !loadedIds.includes(id));
+      const extraRuns = await Promise.all(missingRuns.map(id =>
+        apiFetch(`${API_URL}/api/runs/${id.substring(4)}`).then(res => res.ok ? res.json() : null)
+      ));
+      data.runs = [
+        ...(data.runs || []),
+        ...extraRuns.filter(run => run && run.article_url === data.url)
+      ];
+
       setArticle(data);
 
-      // Set smart defaults
-      if (data.runs && data.runs.length > 0) {
-        setColumns(['original', `run-${data.runs[0].id}`]);
+      const availableIds = [
+        'original',
+        ...(data.gold_standard ? ['gold'] : []),
+        ...data.runs.map(run => `run-${run.id}`)
+      ];
+      const validColumns = requestedColumns.filter(id => availableIds.includes(id)).slice(0, 4);
+
+      if (validColumns.length > 0) {
+        setColumns(validColumns);
+      } else if (data.runs.length > 0) {
+        // Set smart defaults: compare the latest run against gold when available
+        setColumns([data.gold_standard ? 'gold' : 'original', `run-${data.runs[0].id}`]);
+      } else if (data.gold_standard) {
+        setColumns(['original', 'gold']);
+      } else {
+        setColumns(['original']);
       }
 
       setError('');
@@ -232,12 +147,23 @@ export default function MultiRunComparison() {
       text: article.original_article || ''
     });
 
+    // Gold standard
+    if (article.gold_standard) {
+      versions.push({
+        id: 'gold',
+        label: 'Gold',
+        text: article.gold_standard.gold_text || ''
+      });
+    }
+
     // Runs
     if (article.runs) {
       article.runs.forEach(run => {
         versions.push({
           id: `run-${run.id}`,
-          label: `Run #${run.run_number}`,
+          label: run.metrics
+            ? `Run #${run.run_number} (F1 ${run.metrics.f1.toFixed(2)})`
+            : `Run #${run.run_number}`,
           text: run.corrected_article || ''
         });
       });
@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './auth';
+import useWordDiff from './useWordDiff';
+import DiffProgress from './DiffProgress';
+import DiffDisplay from './DiffDisplay';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// Diff between two versions of an article's original.
+// versions: [{ version, created_at, run_count }]; from/to are version numbers and
+// onChange({ from, to }) selects others.
+export default function OriginalVersionDiff({ articleUrl, versions, from, to, onChange }) {
+  const [texts, setTexts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchVersions([from, to].filter(version => version && texts[version] === undefined));
+  }, [articleUrl, from, to]);
+
+  const fetchVersions = async (missing) => {
+    if (missing.length === 0) return;
+
+    try {
+      setLoading(true);
+      const fetched = {};
+      for (const version of missing) {
+        const response = await apiFetch(
+          `${API_URL}/api/articles/${encodeURIComponent(articleUrl)}/versions/${version}`
+        );
+        if (!response.ok) throw new Error('Failed to fetch article version');
+        fetched[version] = (await response.json()).original_article;
+      }
+      setTexts(current => ({ ...current, ...fetched }));
+      setError('');
+    } catch (err) {
+      setError(`Error loading versions: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loaded = texts[from] !== undefined && texts[to] !== undefined;
+  const diff = useWordDiff(texts[from], texts[to], loaded);
+  const operations = loaded ? diff.operations : null;
+
+  const changeCount = operations ? operations.filter(op => op.type !== 'equal').length : 0;
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('sv-SE', {
+      timeZone: 'Europe/Stockholm',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const versionSelect = (value, key) => (
+    <select
+      value={value}
+      onChange={(e) => onChange({ from, to, [key]: parseInt(e.target.value, 10) })}
+      className="px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+    >
+      {versions.map(v => (
+        <option key={v.version} value={v.version}>
+          v{v.version} – {formatDate(v.created_at)} ({v.run_count} körningar)
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <span className="text-gray-700">Jämför</span>
+        {versionSelect(from, 'from')}
+        <span className="text-gray-700">med</span>
+        {versionSelect(to, 'to')}
+        {operations && (
+          <span className="text-xs text-gray-500">
+            {changeCount === 0
+              ? 'Inga skillnader'
+              : `${changeCount} ${diff.fallback ? 'ändrade stycken' : 'ändrade ord och mellanrum'}`}
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded p-3 mb-3">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+
+      {loaded && <DiffProgress diff={diff} />}
+
+      {loading && !operations ? (
+        <div className="text-sm text-gray-600">Laddar versioner...</div>
+      ) : operations && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="border border-gray-200 rounded p-3 bg-gray-50">
+            <div className="text-xs font-medium text-gray-500 mb-2">v{from}</div>
+            <DiffDisplay operations={operations} mode="original" />
+          </div>
+          <div className="border border-gray-200 rounded p-3 bg-gray-50">
+            <div className="text-xs font-medium text-gray-500 mb-2">v{to}</div>
+            <DiffDisplay operations={operations} mode="corrected" />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { apiFetch, can, useSession } from './auth';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// Deleted runs, which admins can restore or delete permanently
+export default function Trash() {
+  const navigate = useNavigate();
+  const canManage = can(useSession(), 'admin');
+  const [runs, setRuns] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchTrash();
+  }, [page]);
+
+  const fetchTrash = async () => {
+    try {
+      setLoading(true);
+      const response = await apiFetch(`${API_URL}/api/trash?page=${page}&pageSize=20`);
+      if (!response.ok) throw new Error('Failed to fetch trash');
+      const data = await response.json();
+      setRuns(data.runs);
+      setPagination(data.pagination);
+      setError('');
+    } catch (err) {
+      setError(`Error loading trash: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const restoreRun = async (run) => {
+    try {
+      setBusyId(run.id);
+      const response = await apiFetch(`${API_URL}/api/trash/${run.id}/restore`, { method: 'POST' });
+      if (!response.ok) throw new Error('Failed to restore run');
+      await fetchTrash();
+    } catch (err) {
+      setError(`Error restoring run: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const purgeRun = async (run) => {
+    if (!window.confirm(`Radera Run #${run.run_number} permanent? Det går inte att ångra.`)) return;
+
+    try {
+      setBusyId(run.id);
+      const response = await apiFetch(`${API_URL}/api/trash/${run.id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to delete run');
+      await fetchTrash();
+    } catch (err) {
+      setError(`Error deleting run: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('sv-SE', {
+      timeZone: 'Europe/Stockholm',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  if (loading && runs.length === 0) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-gray-600">Laddar papperskorg...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto p-6">
+        <button
+          onClick={() => navigate('/')}
+          className="mb-4 text-blue-600 hover:text-blue-800 font-medium"
+        >
+          ← Tillbaka till översikt
+        </button>
+
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Papperskorg</h1>
+          <p className="text-gray-600">
+            Borttagna körningar. De syns inte i listor, sökning eller statistik förrän de återställs.
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 text-sm">{error}</p>
+          </div>
+        )}
+
+        {runs.length === 0 ? (
+          <div className="bg-white border border-gray-200 rounded-lg p-8 text-center text-gray-500">
+            Papperskorgen är tom.
+          </div>
+        ) : (
+          <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 border-b border-gray-200 text-left text-gray-700">
+                <tr>
+                  <th className="px-4 py-3 font-medium">Artikel</th>
+                  <th className="px-4 py-3 font-medium">Körning</th>
+                  <th className="px-4 py-3 font-medium">Ändringar</th>
+                  <th className="px-4 py-3 font-medium">Borttagen</th>
+                  <th className="px-4 py-3 font-medium">Av</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {runs.map(run => (
+                  <tr key={run.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3">
+                      <div className="font-medium text-gray-900">{run.title || run.article_url}</div>
+                      <div className="text-xs text-gray-500 truncate max-w-md">{run.article_url}</div>
+                    </td>
+                    <td className="px-4 py-3">
+                      <button
+                        onClick={() => navigate(`/correction/${run.id}`)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Run #{run.run_number}
+                      </button>
+                      <div className="text-xs text-gray-500">{formatDate(run.created_at)}</div>
+                    </td>
+                    <td className="px-4 py-3 text-gray-700">{run.change_count}</td>
+                    <td className="px-4 py-3 text-gray-700">{formatDate(run.deleted_at)}</td>
+                    <td className="px-4 py-3 text-gray-700">{run.deleted_by}</td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      {canManage && (
+                        <>
+                          <button
+                            disabled={busyId === run.id}
+                            onClick={() => restoreRun(run)}
+                            className="px-3 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-300 mr-2"
+                          >
+                            Återställ
+                          </button>
+                          <button
+                            disabled={busyId === run.id}
+                            onClick={() => purgeRun(run)}
+                            className="px-3 py-1 text-xs text-red-600 border border-red-300 rounded hover:bg-red-50 disabled:text-gray-400"
+                          >
+                            Radera permanent
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-center gap-4 mt-6 text-sm">
+            <button
+              disabled={page <= 1 || loading}
+              onClick={() => setPage(page - 1)}
+              className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+            >
+              ← Föregående
+            </button>
+            <span className="text-gray-600">Sida {page} av {pagination.totalPages}</span>
+            <button
+              disabled={page >= pagination.totalPages || loading}
+              onClick={() => setPage(page + 1)}
+              className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+            >
+              Nästa →
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { createContext, useContext } from 'react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+const STORAGE_KEY = 'apiKey';
+
+// The logged-in key's { name, role, permissions, auth_required }, provided by App
+export const SessionContext = createContext(null);
+
+export function useSession() {
+  return useContext(SessionContext);
+}
+
+export function can(session, permission) {
+  return Boolean(session && session.permissions.includes(permission));
+}
+
+export function getApiKey() {
+  return localStorage.getItem(STORAGE_KEY);
+}
+
+export function logout() {
+  localStorage.removeItem(STORAGE_KEY);
+  window.location.reload();
+}
+
+// fetch with the stored API key as a bearer token. A rejected key logs out.
+export async function apiFetch(url, options = {}) {
+  const apiKey = getApiKey();
+  const headers = { ...(options.headers || {}) };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401 && apiKey) {
+    logout();
+  }
+  return response;
+}
+
+// Look up the session for a key (or for no key when the backend allows it).
+// Returns null when the key is missing or rejected; a stored key is replaced on success.
+export async function login(apiKey = getApiKey()) {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const response = await fetch(`${API_URL}/api/auth/me`, { headers });
+
+  if (response.status === 401) return null;
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  if (apiKey) {
+    localStorage.setItem(STORAGE_KEY, apiKey);
+  }
+  return response.json();
+}
@@ -0,0 +1,8 @@
+// Computes word diffs off the main thread so long articles don't freeze the UI.
+// Used through useWordDiffs, which terminates the worker to cancel a diff.
+import { computeWordDiff } from '../backend/diff.mjs';
+
+self.onmessage = (event) => {
+  const { pairs } = event.data;
+  self.postMessage({ operations: pairs.map(([text1, text2]) => computeWordDiff(text1, text2)) });
+};
@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { paragraphDiff } from '../backend/diff.mjs';
+
+// A word diff that hasn't finished by then is replaced by a paragraph diff
+const DIFF_TIMEOUT_MS = 10000;
+
+const idle = { operations: null, loading: false, fallback: false };
+
+// Word diffs of several [text1, text2] pairs, computed together in a Web Worker
+// (see diffWorker.js). Returns { operations, loading, fallback, cancel }:
+// operations has one diff per pair and is null while loading, and cancel() (or
+// the timeout) stops the worker and falls back to paragraph-level diffs, with
+// fallback set. pairs should be memoized; pass enabled = false to skip the diff.
+export function useWordDiffs(pairs, enabled = true) {
+  const [state, setState] = useState(idle);
+  const cancelRef = useRef(() => {});
+
+  useEffect(() => {
+    if (!enabled) {
+      setState(idle);
+      return undefined;
+    }
+
+    const worker = new Worker(new URL('./diffWorker.js', import.meta.url), { type: 'module' });
+    let finished = false;
+
+    const finish = (operations, fallback) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      worker.terminate();
+      setState({ operations, loading: false, fallback });
+    };
+    const fallBack = () => finish(pairs.map(([text1, text2]) => paragraphDiff(text1, text2)), true);
+
+    const timer = setTimeout(fallBack, DIFF_TIMEOUT_MS);
+    worker.onmessage = (event) => finish(event.data.operations, false);
+    worker.onerror = fallBack;
+    cancelRef.current = fallBack;
+
+    setState({ operations: null, loading: true, fallback: false });
+    worker.postMessage({ pairs });
+
+    return () => {
+      finished = true;
+      clearTimeout(timer);
+      worker.terminate();
+    };
+  }, [pairs, enabled]);
+
+  const cancel = useCallback(() => cancelRef.current(), []);
+
+  return { ...state, cancel };
+}
+
+// Word diff of two texts, like useWordDiffs with a single pair
+export default function useWordDiff(text1, text2, enabled = true) {
+  const pairs = useMemo(() => [[text1 || '', text2 || '']], [text1, text2]);
+  const diff = useWordDiffs(pairs, enabled);
+  return { ...diff, operations: diff.operations && diff.operations[0] };
+}